@@ -0,0 +1,309 @@
+/**
+ * ===================== Allocation Functions =========================
+ *
+ * This section joins the open positions of the "Portfolio" sheet with the "InstrumentsList" and
+ * "ExchangeList" sheets and writes an "Allocation" sheet per profile with the portfolio weights
+ * by position, instrument type, currency, exchange, country and sector:
+ * - The exchange is found through the instrument's working schedule; the country is the one
+ *   of the ISIN (its first two letters).
+ * - Sectors are not part of the API: they are tagged by hand in the "Sector Tags" sheet,
+ *   which lists every ticker held (new tickers are added to it untagged).
+ * - Weights above the limits of the "Allocation Limits" sheet (one maximum weight per
+ *   dimension) are highlighted.
+ *
+ * Position values are converted to the account currency with the latest exchange rate of
+ * each currency in the "Statements" export; positions in a currency without one are valued
+ * unconverted and marked in the "FX" column.
+ *
+ * Functions in this section include:
+ * - `updateAllocationReport`: Writes the report.
+ * - `readAllocationPositions`: Reads the enriched positions.
+ */
+
+const ALLOCATION_SHEET_NAME = 'Allocation';
+const SECTOR_TAGS_SHEET_NAME = 'Sector Tags';
+const ALLOCATION_LIMITS_SHEET_NAME = 'Allocation Limits';
+
+// The dimensions of the report: the position field each one groups by
+const ALLOCATION_DIMENSIONS = {
+  'Type': 'type',
+  'Currency': 'currency',
+  'Exchange': 'exchange',
+  'Country': 'country',
+  'Sector': 'sector'
+};
+
+// Maximum weights written to a new "Allocation Limits" sheet
+const DEFAULT_ALLOCATION_LIMITS = [
+  ['Position', 0.1],
+  ['Type', 1],
+  ['Currency', 0.8],
+  ['Exchange', 0.6],
+  ['Country', 0.6],
+  ['Sector', 0.3]
+];
+
+const ALLOCATION_POSITION_HEADERS = [
+  'Ticker', 'Name', 'Type', 'Currency', 'ISIN', 'Country', 'Exchange', 'Sector', 'Quantity', 'Current Price', 'Value',
+  'Weight', 'FX'
+];
+
+const ALLOCATION_FORMATS = {
+  'Current Price': '#,##0.0000',
+  'Value': '#,##0.00',
+  'Weight': '0.00%',
+  'Limit': '0.00%'
+};
+
+// Background of the weights above their limit
+const CONCENTRATION_HIGHLIGHT = '#f4c7c3';
+
+/**
+ * Writes the allocation report of a profile.
+ *
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string|Object} [params.profile] - The account profile (defaults to the active profile).
+ * @returns {FetchResult} The outcome, with the number of table rows written.
+ */
+function updateAllocationReport(params = {}) {
+  const profile = resolveProfile(params.profile);
+  const positions = readAllocationPositions(profile);
+  const limits = readAllocationLimits();
+  const total = positions.reduce((sum, position) => sum + position.value, 0);
+  const weightOf = value => total > 0 ? value / total : 0;
+
+  positions.sort((a, b) => b.value - a.value);
+  const positionRows = positions.map(position => [
+    position.ticker, position.name, position.type, position.currency, position.isin, position.country,
+    position.exchange, position.sector, position.quantity, position.price, position.value, weightOf(position.value),
+    position.converted ? '' : 'Not converted'
+  ]);
+
+  const sheetName = getProfileSheetName(ALLOCATION_SHEET_NAME, profile);
+  const sheet = clearReportSheet(sheetName);
+  const positionSection = writeReportSection(sheet, 1, 'Positions', ALLOCATION_POSITION_HEADERS, positionRows, ALLOCATION_FORMATS);
+  highlightConcentration(sheet, positionSection, positionRows.map(row => row[11]), limits['Position'], 12);
+
+  const chartColumn = ALLOCATION_POSITION_HEADERS.length + 2;
+  addReportChart(sheet, Charts.ChartType.BAR, positionSection, [1, 12], 'Weight by Position', 1, chartColumn);
+
+  let nextRow = positionSection.nextRow;
+  let rowsWritten = positionRows.length;
+  Object.keys(ALLOCATION_DIMENSIONS).forEach((dimension, index) => {
+    const field = ALLOCATION_DIMENSIONS[dimension];
+    const groups = {};
+    positions.forEach(position => {
+      const key = position[field] || 'Unknown';
+      groups[key] = groups[key] || { value: 0, positions: 0 };
+      groups[key].value += position.value;
+      groups[key].positions++;
+    });
+
+    const limit = limits[dimension];
+    const rows = Object.keys(groups)
+      .sort((a, b) => groups[b].value - groups[a].value)
+      .map(key => [key, groups[key].value, weightOf(groups[key].value), limit === undefined ? '' : limit, groups[key].positions]);
+    const section = writeReportSection(sheet, nextRow, `By ${dimension}`, [dimension, 'Value', 'Weight', 'Limit', 'Positions'], rows, ALLOCATION_FORMATS);
+    highlightConcentration(sheet, section, rows.map(row => row[2]), limit, 3);
+    addReportChart(sheet, Charts.ChartType.PIE, section, [1, 2], `Allocation by ${dimension}`, 21 + index * 20, chartColumn);
+
+    nextRow = section.nextRow;
+    rowsWritten += rows.length;
+  });
+  sheet.autoResizeColumns(1, ALLOCATION_POSITION_HEADERS.length);
+
+  return { status: 'completed', sheetName: sheetName, rowsWritten: rowsWritten };
+}
+
+/**
+ * Writes the allocation report of the active profile and reports the outcome. Used by the "Analytics" menu.
+ */
+function showAllocationReport() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = updateAllocationReport();
+    ui.alert(`Wrote the allocation report to "${result.sheetName}".`);
+  } catch (error) {
+    ui.alert(error.message);
+  }
+}
+
+/**
+ * Highlights the weights of a table that are above their limit.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The report sheet.
+ * @param {{headerRow: number}} section - The table (see `writeReportSection`).
+ * @param {Array<number>} weights - The weight of each row.
+ * @param {number} [limit] - The maximum weight; nothing is highlighted without one.
+ * @param {number} column - The column of the weights (1-based).
+ */
+function highlightConcentration(sheet, section, weights, limit, column) {
+  if (limit === undefined) {
+    return;
+  }
+  weights.forEach((weight, index) => {
+    if (weight > limit) {
+      sheet.getRange(section.headerRow + 1 + index, column).setBackground(CONCENTRATION_HIGHLIGHT);
+    }
+  });
+}
+
+/**
+ * Reads the open positions of a profile with their instrument details, exchange, country,
+ * sector and value in the account currency.
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Array<Object>} The positions.
+ */
+function readAllocationPositions(profile) {
+  const instruments = {};
+  readResourceRecords('INSTRUMENTS_LIST', profile).forEach(record => {
+    instruments[record.ticker] = record;
+  });
+  const exchanges = readExchangesBySchedule(profile);
+  const rates = readLatestExchangeRates(profile);
+
+  const positions = readResourceRecords('PORTFOLIO', profile)
+    .filter(record => record.ticker && toAnalyticsNumber(record.quantity) > 0)
+    .map(record => {
+      const instrument = instruments[record.ticker] || {};
+      const currency = String(instrument.currencyCode || '');
+      const quantity = toAnalyticsNumber(record.quantity);
+      const price = toAnalyticsNumber(record.currentPrice);
+      const rate = rates[currency];
+      const isin = String(instrument.isin || '');
+      return {
+        ticker: record.ticker,
+        name: instrument.name || '',
+        type: instrument.type || '',
+        currency: currency,
+        isin: isin,
+        country: /^[A-Z]{2}/.test(isin) ? isin.slice(0, 2) : '',
+        exchange: exchanges[String(instrument.workingScheduleId)] || '',
+        quantity: quantity,
+        price: price,
+        value: quantity * price / (rate || 1),
+        converted: Boolean(rate)
+      };
+    });
+
+  const sectors = readSectorTags(positions.map(position => position.ticker));
+  positions.forEach(position => {
+    position.sector = sectors[position.ticker] || '';
+  });
+  return positions;
+}
+
+/**
+ * Reads the exchange names by working schedule ID from a profile's "ExchangeList" sheet, or its
+ * "ExchangeList_workingSchedules" child sheet when nested arrays are written to child sheets.
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Object<string, string>} The exchange names by working schedule ID.
+ */
+function readExchangesBySchedule(profile) {
+  const sheetName = getProfileSheetName(API_RESOURCES.EXCHANGE_LIST.sheetName, profile);
+  const names = {};
+  const exchanges = {};
+
+  readResourceRecords('EXCHANGE_LIST', profile).forEach(record => {
+    names[String(record.id)] = record.name;
+    String(record['workingSchedules.id'] || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(id => id !== '')
+      .forEach(id => {
+        exchanges[id] = record.name;
+      });
+  });
+  readSheetRecords(getChildSheetName(sheetName, 'workingSchedules')).forEach(record => {
+    exchanges[String(record.id)] = names[String(record.parentKey)] || exchanges[String(record.id)];
+  });
+  return exchanges;
+}
+
+/**
+ * Reads the latest exchange rate of each currency from a profile's "Statements" sheet, as units
+ * of the currency per unit of the account currency. The account currency, and pence for GBP
+ * accounts, need none.
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Object<string, number>} The rates by currency code.
+ */
+function readLatestExchangeRates(profile) {
+  const accountCurrency = readAccountCurrency(profile);
+  const rates = {};
+  const latest = {};
+  readSheetRecords(getProfileSheetName(API_RESOURCES.HISTORY_EXPORTS.sheetName, profile)).forEach(record => {
+    const currency = String(record['Currency (Price / share)'] || '');
+    const rate = toAnalyticsNumber(record['Exchange rate'], null);
+    const time = toAnalyticsDate(record['Time']);
+    if (currency && rate && time && (!latest[currency] || time > latest[currency])) {
+      latest[currency] = time;
+      rates[currency] = rate;
+    }
+  });
+
+  if (accountCurrency) {
+    rates[accountCurrency] = 1;
+  }
+  if (accountCurrency === 'GBP' || !accountCurrency) {
+    Object.keys(GBP_PRICE_UNITS).forEach(currency => {
+      rates[currency] = GBP_PRICE_UNITS[currency];
+    });
+  }
+  return rates;
+}
+
+/**
+ * Reads the sector tags of the "Sector Tags" sheet, creating the sheet if needed and adding the
+ * given tickers it does not list yet, so they can be tagged.
+ *
+ * @param {Array<string>} tickers - The tickers held.
+ * @returns {Object<string, string>} The sectors by ticker.
+ */
+function readSectorTags(tickers) {
+  const sheet = getOrCreateSheet(SECTOR_TAGS_SHEET_NAME);
+  if (sheet.getLastRow() === 0) {
+    clearSheetAndWriteHeaders(sheet, ['Ticker', 'Sector']);
+    sheet.getRange(1, 1, 1, 2).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+
+  const sectors = {};
+  readSheetRecords(SECTOR_TAGS_SHEET_NAME).forEach(record => {
+    sectors[record['Ticker']] = String(record['Sector'] || '').trim();
+  });
+
+  const untagged = tickers.filter(ticker => sectors[ticker] === undefined);
+  if (untagged.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, untagged.length, 2).setValues(untagged.map(ticker => [ticker, '']));
+  }
+  return sectors;
+}
+
+/**
+ * Reads the concentration limits of the "Allocation Limits" sheet, creating it with the
+ * default limits if needed. Limits may be entered as fractions (0.3) or percentages (30).
+ *
+ * @returns {Object<string, number>} The maximum weights by dimension ('Position' for single positions).
+ */
+function readAllocationLimits() {
+  const sheet = getOrCreateSheet(ALLOCATION_LIMITS_SHEET_NAME);
+  if (sheet.getLastRow() === 0) {
+    clearSheetAndWriteHeaders(sheet, ['Dimension', 'Max Weight']);
+    sheet.getRange(1, 1, 1, 2).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.getRange(2, 1, DEFAULT_ALLOCATION_LIMITS.length, 2).setValues(DEFAULT_ALLOCATION_LIMITS);
+    sheet.getRange(2, 2, DEFAULT_ALLOCATION_LIMITS.length, 1).setNumberFormat('0%');
+  }
+
+  const limits = {};
+  readSheetRecords(ALLOCATION_LIMITS_SHEET_NAME).forEach(record => {
+    const limit = toAnalyticsNumber(record['Max Weight'], null);
+    if (record['Dimension'] && limit !== null) {
+      limits[String(record['Dimension']).trim()] = limit > 1 ? limit / 100 : limit;
+    }
+  });
+  return limits;
+}
@@ -0,0 +1,237 @@
+/**
+ * ===================== Analytics Data =========================
+ *
+ * The analytics (performance, cost basis, tax, dividends, allocation and rebalancing reports)
+ * work on the data already fetched into the sheets rather than calling the API again.
+ * This section reads those sheets back into plain records:
+ * - Rows of API resources are keyed by field path (e.g. 'dateTime'), whatever their column
+ *   schema calls the column, so renamed columns keep working.
+ * - Rows flagged 'Vanished' by the last refresh (see `SheetMergeWriter`) are skipped.
+ * - Values written as dates, numbers or enum labels (see `convertFieldValue()`) are read back
+ *   with `toAnalyticsDate()`, `toAnalyticsNumber()` and `toEnumCode()`, which also accept the
+ *   raw API values of sheets written before those conversions existed.
+ */
+
+/**
+ * Reads the rows of a resource's sheet as records keyed by field path.
+ *
+ * @param {string} resourceKey - The API_RESOURCES key.
+ * @param {Object} profile - The account profile whose sheet is read.
+ * @returns {Array<Object>} The current records, in sheet order (empty if the sheet does not exist).
+ */
+function readResourceRecords(resourceKey, profile) {
+  const sheetName = getProfileSheetName(API_RESOURCES[resourceKey].sheetName, profile);
+  const schema = columnSchemaManager.getSchema(resourceKey);
+  const toPath = header => {
+    const field = schema.find(candidate => candidate.name === header || candidate.path === header);
+    return field ? field.path : header;
+  };
+
+  return readSheetRecords(sheetName, toPath)
+    .filter(record => record[SYNC_COLUMNS.STATUS] !== SYNC_STATUSES.VANISHED);
+}
+
+/**
+ * Reads the rows of a sheet as records keyed by header.
+ *
+ * @param {string} sheetName - The name of the sheet.
+ * @param {function(string): string} [toKey] - Maps a header to the key used in the records.
+ * @returns {Array<Object>} The records of the non-empty rows (empty if the sheet does not exist).
+ */
+function readSheetRecords(sheetName, toKey = header => header) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const keys = values[0].map(header => toKey(String(header)));
+  return values.slice(1)
+    .filter(row => row.some(cell => cell !== ''))
+    .map(row => {
+      const record = {};
+      keys.forEach((key, index) => {
+        if (key !== '') {
+          record[key] = row[index];
+        }
+      });
+      return record;
+    });
+}
+
+/**
+ * Reads a value as a date: Date cells as they are, ISO strings (raw API values) parsed.
+ *
+ * @param {*} value - The cell value.
+ * @returns {Date|null} The date, or null if the value is not a date.
+ */
+function toAnalyticsDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    const date = new Date(value.trim());
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+/**
+ * Reads a value as a number.
+ *
+ * @param {*} value - The cell value.
+ * @param {number} [fallback=0] - The number returned for empty or non-numeric values.
+ * @returns {number} The number.
+ */
+function toAnalyticsNumber(value, fallback = 0) {
+  if (value === '' || value === null || value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  return isNaN(number) ? fallback : number;
+}
+
+/**
+ * Reads an enum value as its API code, e.g. 'Stop Limit' (a label written by
+ * `toEnumLabel()`) or 'STOP_LIMIT' both become 'STOP_LIMIT'.
+ *
+ * @param {*} value - The cell value.
+ * @returns {string} The enum code.
+ */
+function toEnumCode(value) {
+  return String(value === null || value === undefined ? '' : value).trim().toUpperCase().replace(/\s+/g, '_');
+}
+
+/**
+ * Formats a date as a day key ('yyyy-MM-dd'), by default in the spreadsheet's time zone.
+ * Day keys compare and sort as strings.
+ *
+ * @param {Date} date - The date.
+ * @param {string} [timeZone] - The time zone of the day (e.g. 'Europe/London').
+ * @returns {string} The day key.
+ */
+function toDayKey(date, timeZone) {
+  return Utilities.formatDate(date, timeZone || SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Converts a day key to a Date at midnight in the spreadsheet's time zone.
+ *
+ * @param {string} day - The day key ('yyyy-MM-dd').
+ * @returns {Date} The date.
+ */
+function fromDayKey(day) {
+  return Utilities.parseDate(day, SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Counts the days between two day keys, independently of time zones and daylight saving.
+ *
+ * @param {string} from - The first day key.
+ * @param {string} to - The second day key.
+ * @returns {number} The number of days from `from` to `to` (negative if `to` is earlier).
+ */
+function daysBetween(from, to) {
+  const toUtc = day => {
+    const [year, month, date] = day.split('-').map(Number);
+    return Date.UTC(year, month - 1, date);
+  };
+  return Math.round((toUtc(to) - toUtc(from)) / 86400000);
+}
+
+/**
+ * Writes a report sheet: clears it, writes the headers and rows, and applies number formats.
+ *
+ * @param {string} sheetName - The name of the report sheet.
+ * @param {Array<string>} headers - The column headers.
+ * @param {Array<Array<*>>} rows - The rows.
+ * @param {Object<string, string>} [formats={}] - Number formats by header (e.g. { 'TWR': '0.00%' }).
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The report sheet.
+ */
+function writeReportSheet(sheetName, headers, rows, formats = {}) {
+  const sheet = getOrCreateSheet(sheetName);
+  clearSheetAndWriteHeaders(sheet, headers);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold').setBackground('#f3f3f3');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    writeRowsToSheet(sheet, rows, 2);
+    Object.keys(formats).forEach(header => {
+      const column = headers.indexOf(header);
+      if (column !== -1) {
+        sheet.getRange(2, column + 1, rows.length, 1).setNumberFormat(formats[header]);
+      }
+    });
+  }
+  sheet.autoResizeColumns(1, headers.length);
+
+  return sheet;
+}
+
+/**
+ * Clears a dashboard sheet, including its charts, for `writeReportSection()` to fill.
+ *
+ * @param {string} sheetName - The name of the dashboard sheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The empty sheet.
+ */
+function clearReportSheet(sheetName) {
+  const sheet = getOrCreateSheet(sheetName);
+  sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+  sheet.clear();
+  return sheet;
+}
+
+/**
+ * Writes a titled table to a dashboard sheet: a title row, a header row and the rows,
+ * followed by an empty row.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The dashboard sheet.
+ * @param {number} startRow - The row of the title.
+ * @param {string} title - The title of the table.
+ * @param {Array<string>} headers - The column headers.
+ * @param {Array<Array<*>>} rows - The rows.
+ * @param {Object<string, string>} [formats={}] - Number formats by header.
+ * @returns {{headerRow: number, rowCount: number, nextRow: number}} Where the table is, and the row after it.
+ */
+function writeReportSection(sheet, startRow, title, headers, rows, formats = {}) {
+  sheet.getRange(startRow, 1).setValue(title).setFontWeight('bold').setFontSize(12);
+  const headerRow = startRow + 1;
+  sheet.getRange(headerRow, 1, 1, headers.length).setValues([headers]).setFontWeight('bold').setBackground('#f3f3f3');
+
+  if (rows.length > 0) {
+    sheet.getRange(headerRow + 1, 1, rows.length, headers.length).setValues(rows.map(row => padRow(row, headers.length)));
+    Object.keys(formats).forEach(header => {
+      const column = headers.indexOf(header);
+      if (column !== -1) {
+        sheet.getRange(headerRow + 1, column + 1, rows.length, 1).setNumberFormat(formats[header]);
+      }
+    });
+  }
+
+  return { headerRow: headerRow, rowCount: rows.length, nextRow: headerRow + rows.length + 2 };
+}
+
+/**
+ * Adds a chart of a table written by `writeReportSection()`.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The dashboard sheet.
+ * @param {GoogleAppsScript.Charts.ChartType} chartType - The chart type (e.g. Charts.ChartType.COLUMN).
+ * @param {{headerRow: number, rowCount: number}} section - The table.
+ * @param {Array<number>} columns - The columns charted (1-based), the first one holding the labels.
+ * @param {string} title - The chart's title.
+ * @param {number} anchorRow - The row of the chart's top-left corner.
+ * @param {number} anchorColumn - The column of the chart's top-left corner.
+ */
+function addReportChart(sheet, chartType, section, columns, title, anchorRow, anchorColumn) {
+  if (section.rowCount === 0) {
+    return;
+  }
+
+  const builder = sheet.newChart().setChartType(chartType);
+  columns.forEach(column => builder.addRange(sheet.getRange(section.headerRow, column, section.rowCount + 1, 1)));
+  sheet.insertChart(builder
+    .setNumHeaders(1)
+    .setOption('title', title)
+    .setPosition(anchorRow, anchorColumn, 0, 0)
+    .build());
+}
@@ -0,0 +1,310 @@
+/**
+ * ===================== Capital Gains Functions =========================
+ *
+ * This section builds a UK capital gains tax report from the order history of every taxable
+ * profile, i.e. every profile in the active profile's environment except ISA accounts. The
+ * holdings of all those accounts form one pool per share, as HMRC requires.
+ *
+ * Buys and sells of a share on the same day (UK time) count as one acquisition and one
+ * disposal. Each disposal is matched, in this order (HMRC share matching rules):
+ * 1. Same day: with the acquisitions of the same day.
+ * 2. Bed and breakfast: with the acquisitions of the following 30 days, earliest first.
+ * 3. Section 104: with the pool of all other acquisitions made before it, at its average cost.
+ *
+ * Amounts are converted to GBP with the exchange rate of each fill in the "Statements" sheet
+ * (see `fetchStatements`); fills of GBP and GBX instruments need none. Fees are added to the
+ * allowable costs. Disposals that could not be converted or fully matched are reported with a
+ * note, since their figures are incomplete.
+ *
+ * The results go to the "CGT Disposals" sheet (one row per disposal) and the "CGT Summary"
+ * sheet (the totals of each tax year, as entered on the self-assessment form).
+ *
+ * Functions in this section include:
+ * - `updateCapitalGainsReport`: Writes both sheets.
+ * - `matchUkDisposals`: Applies the matching rules to the acquisitions and disposals of one share.
+ */
+
+const CGT_SHEETS = {
+  DISPOSALS: 'CGT Disposals',
+  SUMMARY: 'CGT Summary'
+};
+
+const CGT_DISPOSAL_HEADERS = [
+  'Tax Year', 'Ticker', 'Disposal Date', 'Quantity', 'Proceeds (GBP)', 'Allowable Costs (GBP)', 'Gain/Loss (GBP)',
+  'Same Day Quantity', 'Bed & Breakfast Quantity', 'Section 104 Quantity', 'Unmatched Quantity', 'Notes'
+];
+const CGT_SUMMARY_HEADERS = [
+  'Tax Year', 'Disposals', 'Proceeds (GBP)', 'Allowable Costs (GBP)', 'Gains (GBP)', 'Losses (GBP)', 'Net Gain (GBP)',
+  'Disposals With Notes'
+];
+
+const CGT_FORMATS = {
+  'Disposal Date': 'yyyy-mm-dd',
+  'Proceeds (GBP)': '#,##0.00',
+  'Allowable Costs (GBP)': '#,##0.00',
+  'Gain/Loss (GBP)': '#,##0.00',
+  'Gains (GBP)': '#,##0.00',
+  'Losses (GBP)': '#,##0.00',
+  'Net Gain (GBP)': '#,##0.00'
+};
+
+// Share matching days are UK days
+const UK_TIME_ZONE = 'Europe/London';
+
+// Acquisitions within this many days after a disposal are matched with it (bed and breakfast)
+const BED_AND_BREAKFAST_DAYS = 30;
+
+// Units of a price currency per pound for instruments that need no exchange rate
+const GBP_PRICE_UNITS = {
+  GBP: 1,
+  GBX: 100
+};
+
+/**
+ * Writes the UK capital gains report of all taxable profiles.
+ *
+ * @returns {FetchResult} The outcome, with the number of disposal and summary rows written.
+ * @throws {Error} If there is no taxable profile.
+ */
+function updateCapitalGainsReport() {
+  const active = resolveProfile();
+  const profiles = Object.values(profileManager.getProfiles())
+    .filter(profile => profile.accountType !== ACCOUNT_TYPES.ISA && profile.environment === active.environment);
+  if (profiles.length === 0) {
+    throw new Error(`There is no ${active.environment} profile outside an ISA to report capital gains for.`);
+  }
+
+  const fills = [];
+  profiles.forEach(profile => readGbpFills(profile).forEach(fill => fills.push(fill)));
+
+  // Group the fills by share, then into one acquisition and one disposal per day
+  const shares = {};
+  fills.forEach(fill => {
+    const share = shares[fill.ticker] = shares[fill.ticker] || { acquisitions: {}, disposals: {} };
+    const group = fill.quantity > 0 ? share.acquisitions : share.disposals;
+    const entry = group[fill.day] = group[fill.day] || { day: fill.day, quantity: 0, amount: 0, fees: 0, notes: [] };
+    entry.quantity += Math.abs(fill.quantity);
+    entry.amount += fill.amount;
+    entry.fees += fill.fees;
+    addNotes(entry.notes, fill.note ? [fill.note] : []);
+  });
+
+  const disposalRows = [];
+  Object.keys(shares).sort().forEach(ticker => {
+    const share = shares[ticker];
+    matchUkDisposals(Object.values(share.acquisitions), Object.values(share.disposals)).forEach(disposal => {
+      disposalRows.push([
+        getUkTaxYear(disposal.day), ticker, fromDayKey(disposal.day), disposal.quantity, disposal.proceeds,
+        disposal.allowableCosts, disposal.gain, disposal.sameDay, disposal.bedAndBreakfast, disposal.section104,
+        disposal.unmatched, disposal.notes.join(' ')
+      ]);
+    });
+  });
+  disposalRows.sort((a, b) => a[2] - b[2] || String(a[1]).localeCompare(String(b[1])));
+
+  const years = {};
+  disposalRows.forEach(row => {
+    const year = years[row[0]] = years[row[0]] || [row[0], 0, 0, 0, 0, 0, 0, 0];
+    const gain = row[6];
+    year[1]++;
+    year[2] += row[4];
+    year[3] += row[5];
+    year[4] += gain > 0 ? gain : 0;
+    year[5] += gain < 0 ? -gain : 0;
+    year[6] += gain;
+    year[7] += row[11] ? 1 : 0;
+  });
+  const summaryRows = Object.keys(years).sort().map(year => years[year]);
+
+  writeReportSheet(CGT_SHEETS.DISPOSALS, CGT_DISPOSAL_HEADERS, disposalRows, CGT_FORMATS);
+  writeReportSheet(CGT_SHEETS.SUMMARY, CGT_SUMMARY_HEADERS, summaryRows, CGT_FORMATS);
+  return { status: 'completed', sheetName: CGT_SHEETS.SUMMARY, rowsWritten: disposalRows.length + summaryRows.length };
+}
+
+/**
+ * Writes the capital gains report and reports the outcome. Used by the "Analytics" menu.
+ */
+function showCapitalGainsReport() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = updateCapitalGainsReport();
+    ui.alert(`Wrote ${result.rowsWritten} rows to the capital gains sheets.`);
+  } catch (error) {
+    ui.alert(error.message);
+  }
+}
+
+/**
+ * Reads the filled orders of a profile with their value and fees in GBP.
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Array<{ticker: string, day: string, quantity: number, amount: number, fees: number, note: string}>}
+ *   The fills, with their UK day, value and fees in GBP, and a note if they could not be converted.
+ */
+function readGbpFills(profile) {
+  const statementRates = readStatementRates(profile);
+  const accountCurrency = readAccountCurrency(profile);
+  const priceCurrencies = {};
+  readResourceRecords('INSTRUMENTS_LIST', profile).forEach(record => {
+    priceCurrencies[record.ticker] = record.currencyCode;
+  });
+
+  return readOrderFills(profile).map(fill => {
+    const statement = statementRates[fill.fillId];
+    const accountInGbp = ((statement ? statement.accountCurrency : accountCurrency) || 'GBP') === 'GBP';
+    const rate = statement && accountInGbp ? statement.rate : GBP_PRICE_UNITS[priceCurrencies[fill.ticker]];
+
+    return {
+      ticker: fill.ticker,
+      day: toDayKey(fill.date, UK_TIME_ZONE),
+      quantity: fill.quantity,
+      amount: Math.abs(fill.quantity) * fill.price / (rate || 1),
+      fees: fill.fees,
+      note: rate && accountInGbp ? '' : `No GBP exchange rate for order ${fill.orderId} (${profile.name}).`
+    };
+  });
+}
+
+/**
+ * Reads the exchange rate of each fill from a profile's "Statements" sheet. Order rows of the
+ * export carry the fill ID in their "ID" column (e.g. "EOF5500100101") and the units of the
+ * price currency per unit of the account currency in "Exchange rate".
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Object<string, {rate: number, accountCurrency: string}>} The rates by fill ID.
+ */
+function readStatementRates(profile) {
+  const rates = {};
+  readSheetRecords(getProfileSheetName(API_RESOURCES.HISTORY_EXPORTS.sheetName, profile)).forEach(record => {
+    const fillId = String(record['ID'] || '').replace(/^\D+/, '');
+    const rate = toAnalyticsNumber(record['Exchange rate'], null);
+    if (fillId && rate) {
+      rates[fillId] = { rate: rate, accountCurrency: String(record['Currency (Total)'] || '') };
+    }
+  });
+  return rates;
+}
+
+/**
+ * Reads a profile's account currency from its "AccountInfo" sheet. Without one, the account is
+ * taken to be in GBP, as the accounts this report is meant for are.
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {string} The currency code, or an empty string if the account info was not fetched.
+ */
+function readAccountCurrency(profile) {
+  const records = readResourceRecords('ACCOUNT_INFO', profile);
+  return records.length > 0 ? String(records[0].currencyCode || '') : '';
+}
+
+/**
+ * Matches the disposals of one share with its acquisitions by the HMRC share matching rules:
+ * same day, then the following 30 days, then the Section 104 pool.
+ *
+ * @param {Array<{day: string, quantity: number, amount: number, fees: number, notes: Array<string>}>} acquisitions -
+ *   The acquisitions, one per day (amount = purchase price in GBP).
+ * @param {Array<{day: string, quantity: number, amount: number, fees: number, notes: Array<string>}>} disposals -
+ *   The disposals, one per day (amount = proceeds in GBP).
+ * @returns {Array<Object>} The disposals, oldest first, with their proceeds, allowable costs, gain,
+ *   the quantities matched by each rule and notes.
+ */
+function matchUkDisposals(acquisitions, disposals) {
+  const buys = acquisitions
+    .map(acquisition => Object.assign({}, acquisition, {
+      remaining: acquisition.quantity,
+      unitCost: (acquisition.amount + acquisition.fees) / acquisition.quantity
+    }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+  const sells = disposals
+    .map(disposal => Object.assign({}, disposal, {
+      remaining: disposal.quantity, cost: 0, sameDay: 0, bedAndBreakfast: 0, section104: 0, notes: disposal.notes.slice()
+    }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+
+  const match = (sell, buy, rule) => {
+    const quantity = Math.min(sell.remaining, buy.remaining);
+    if (quantity <= QUANTITY_EPSILON) {
+      return;
+    }
+    sell.remaining -= quantity;
+    buy.remaining -= quantity;
+    sell.cost += quantity * buy.unitCost;
+    sell[rule] += quantity;
+    addNotes(sell.notes, buy.notes);
+  };
+
+  // 1. Same day
+  sells.forEach(sell => buys.filter(buy => buy.day === sell.day).forEach(buy => match(sell, buy, 'sameDay')));
+
+  // 2. Bed and breakfast: the next 30 days, earliest disposal and acquisition first
+  sells.forEach(sell => buys
+    .filter(buy => daysBetween(sell.day, buy.day) >= 1 && daysBetween(sell.day, buy.day) <= BED_AND_BREAKFAST_DAYS)
+    .forEach(buy => match(sell, buy, 'bedAndBreakfast')));
+
+  // 3. Section 104: replay the days, adding what is left of each acquisition to the pool
+  const pool = { quantity: 0, cost: 0, notes: [] };
+  const days = Array.from(new Set(buys.map(buy => buy.day).concat(sells.map(sell => sell.day)))).sort();
+  days.forEach(day => {
+    buys.filter(buy => buy.day === day && buy.remaining > QUANTITY_EPSILON).forEach(buy => {
+      pool.quantity += buy.remaining;
+      pool.cost += buy.remaining * buy.unitCost;
+      addNotes(pool.notes, buy.notes);
+    });
+    sells.filter(sell => sell.day === day && sell.remaining > QUANTITY_EPSILON && pool.quantity > QUANTITY_EPSILON).forEach(sell => {
+      const quantity = Math.min(sell.remaining, pool.quantity);
+      const cost = pool.cost * quantity / pool.quantity;
+      sell.remaining -= quantity;
+      sell.cost += cost;
+      sell.section104 += quantity;
+      pool.quantity -= quantity;
+      pool.cost -= cost;
+      addNotes(sell.notes, pool.notes);
+    });
+  });
+
+  return sells.map(sell => {
+    const unmatched = sell.remaining > QUANTITY_EPSILON ? sell.remaining : 0;
+    if (unmatched > 0) {
+      sell.notes.push(`${unmatched} shares are not matched with an acquisition in the order history.`);
+    }
+    const allowableCosts = sell.cost + sell.fees;
+    return {
+      day: sell.day,
+      quantity: sell.quantity,
+      proceeds: sell.amount,
+      allowableCosts: allowableCosts,
+      gain: sell.amount - allowableCosts,
+      sameDay: sell.sameDay,
+      bedAndBreakfast: sell.bedAndBreakfast,
+      section104: sell.section104,
+      unmatched: unmatched,
+      notes: sell.notes
+    };
+  });
+}
+
+/**
+ * Adds the notes a list does not have yet.
+ *
+ * @param {Array<string>} notes - The list to add to.
+ * @param {Array<string>} additions - The notes to add.
+ */
+function addNotes(notes, additions) {
+  additions.forEach(note => {
+    if (!notes.includes(note)) {
+      notes.push(note);
+    }
+  });
+}
+
+/**
+ * Gets the UK tax year of a day: tax years run from 6 April to 5 April.
+ *
+ * @param {string} day - The day key ('yyyy-MM-dd').
+ * @returns {string} The tax year, e.g. '2024-25'.
+ */
+function getUkTaxYear(day) {
+  const year = Number(day.slice(0, 4));
+  const start = day.slice(5) >= '04-06' ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
@@ -0,0 +1,394 @@
+/**
+ * ===================== Cost Basis Functions =========================
+ *
+ * This section replays the filled orders of the "History" sheet, ticker by ticker and in the
+ * order they were executed, to work out the cost basis of every position:
+ * - Buys open lots; their fees (e.g. stamp duty, FX fees) are added to the lot's cost.
+ * - Sells close lots in the order of the chosen method (see COST_BASIS_METHODS) and realise a
+ *   gain: proceeds - cost of the matched lots - fees of the sale.
+ * - The lots still open are valued at the current prices of the "Portfolio" sheet.
+ *
+ * Prices and costs are in the instrument's currency (the order's fill price). Fees are charged
+ * in the account currency, so they are converted to the instrument's currency first, at the
+ * fill's rate from the "Statements" export or else the latest rate of its currency; fees that
+ * cannot be converted are left out of costs and gains. A sell that exceeds the quantity bought
+ * in the history (e.g. a position opened before the history starts) is reported with its
+ * unmatched quantity and no cost for it.
+ *
+ * The results go to three sheets per profile: "Open Lots", "Realized Gains" and
+ * "Cost Basis Summary" (one row per ticker with its unrealized and realized P&L).
+ *
+ * Functions in this section include:
+ * - `updateCostBasisSheets`: Writes the three sheets.
+ * - `readOrderFills`: Reads the filled orders.
+ * - `CostBasisLedger`: Matches sells against lots.
+ */
+
+// The lot matching methods: first in first out, last in first out, or one average-cost pool per ticker
+const COST_BASIS_METHODS = {
+  FIFO: 'FIFO',
+  LIFO: 'LIFO',
+  AVERAGE: 'AVERAGE'
+};
+const COST_BASIS_METHOD_PROPERTY = 'COST_BASIS_METHOD';
+
+const COST_BASIS_SHEETS = {
+  OPEN_LOTS: 'Open Lots',
+  REALIZED: 'Realized Gains',
+  SUMMARY: 'Cost Basis Summary'
+};
+
+const OPEN_LOT_HEADERS = [
+  'Ticker', 'Acquired', 'Order ID', 'Quantity', 'Unit Cost', 'Cost', 'Current Price', 'Value', 'Unrealized P&L', 'Unrealized %'
+];
+const REALIZED_GAIN_HEADERS = [
+  'Ticker', 'Sold On', 'Order ID', 'Method', 'Quantity', 'Proceeds', 'Cost', 'Fees', 'Gain', 'First Acquired', 'Unmatched Quantity'
+];
+const COST_BASIS_SUMMARY_HEADERS = [
+  'Ticker', 'Method', 'Quantity', 'Cost', 'Average Cost', 'Current Price', 'Value', 'Unrealized P&L', 'Unrealized %',
+  'Realized Gain', 'Portfolio Quantity'
+];
+
+const COST_BASIS_FORMATS = {
+  'Acquired': 'yyyy-mm-dd',
+  'Sold On': 'yyyy-mm-dd',
+  'First Acquired': 'yyyy-mm-dd',
+  'Unit Cost': '#,##0.0000',
+  'Average Cost': '#,##0.0000',
+  'Cost': '#,##0.00',
+  'Value': '#,##0.00',
+  'Proceeds': '#,##0.00',
+  'Fees': '#,##0.00',
+  'Gain': '#,##0.00',
+  'Unrealized P&L': '#,##0.00',
+  'Realized Gain': '#,##0.00',
+  'Unrealized %': '0.00%'
+};
+
+// Quantities below this are rounding left-overs of fractional shares
+const QUANTITY_EPSILON = 1e-8;
+
+/**
+ * Replays the order history of a profile and writes its open lots, realized gains and
+ * per-ticker summary.
+ *
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string|Object} [params.profile] - The account profile (defaults to the active profile).
+ * @param {string} [params.method] - One of COST_BASIS_METHODS (defaults to the saved method).
+ * @returns {FetchResult} The outcome, with the number of rows written to the three sheets.
+ */
+function updateCostBasisSheets(params = {}) {
+  const profile = resolveProfile(params.profile);
+  const method = params.method || getCostBasisMethod();
+
+  const ledger = new CostBasisLedger(method);
+  convertFillFees(readOrderFills(profile), profile).forEach(fill => ledger.apply(fill));
+
+  const prices = {};
+  const quantities = {};
+  readResourceRecords('PORTFOLIO', profile).forEach(record => {
+    prices[record.ticker] = toAnalyticsNumber(record.currentPrice, null);
+    quantities[record.ticker] = toAnalyticsNumber(record.quantity);
+  });
+
+  const openLotRows = [];
+  ledger.getTickers().forEach(ticker => {
+    const price = prices[ticker] !== undefined ? prices[ticker] : null;
+    ledger.getOpenLots(ticker).forEach(lot => {
+      const value = price === null ? '' : lot.quantity * price;
+      openLotRows.push([
+        ticker, lot.date, lot.orderId, lot.quantity, lot.cost / lot.quantity, lot.cost, price === null ? '' : price,
+        value, price === null ? '' : value - lot.cost, price === null || lot.cost === 0 ? '' : (value - lot.cost) / lot.cost
+      ]);
+    });
+  });
+
+  const realizedRows = ledger.disposals.map(disposal => [
+    disposal.ticker, disposal.date, disposal.orderId, method, disposal.quantity, disposal.proceeds, disposal.cost,
+    disposal.fees, disposal.gain, disposal.firstAcquired || '', disposal.unmatchedQuantity || ''
+  ]);
+
+  const tickers = new Set(ledger.getTickers().concat(Object.keys(quantities)));
+  const summaryRows = Array.from(tickers).sort().map(ticker => {
+    const lots = ledger.getOpenLots(ticker);
+    const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const cost = lots.reduce((sum, lot) => sum + lot.cost, 0);
+    const price = prices[ticker] !== undefined ? prices[ticker] : null;
+    const value = price === null ? '' : quantity * price;
+    const realized = ledger.disposals
+      .filter(disposal => disposal.ticker === ticker)
+      .reduce((sum, disposal) => sum + disposal.gain, 0);
+    return [
+      ticker, method, quantity, cost, quantity > 0 ? cost / quantity : '', price === null ? '' : price, value,
+      price === null ? '' : value - cost, price === null || cost === 0 ? '' : (value - cost) / cost, realized,
+      quantities[ticker] !== undefined ? quantities[ticker] : 0
+    ];
+  });
+
+  writeReportSheet(getProfileSheetName(COST_BASIS_SHEETS.OPEN_LOTS, profile), OPEN_LOT_HEADERS, openLotRows, COST_BASIS_FORMATS);
+  writeReportSheet(getProfileSheetName(COST_BASIS_SHEETS.REALIZED, profile), REALIZED_GAIN_HEADERS, realizedRows, COST_BASIS_FORMATS);
+  const sheetName = getProfileSheetName(COST_BASIS_SHEETS.SUMMARY, profile);
+  writeReportSheet(sheetName, COST_BASIS_SUMMARY_HEADERS, summaryRows, COST_BASIS_FORMATS);
+
+  return {
+    status: 'completed',
+    sheetName: sheetName,
+    rowsWritten: openLotRows.length + realizedRows.length + summaryRows.length
+  };
+}
+
+/**
+ * Reads the filled orders of a profile's "History" sheet, oldest first.
+ * Sells have a negative quantity, as in the API. Fees are the order's taxes in the account
+ * currency, read from the "taxes.quantity" column or, with nested arrays in child sheets, from
+ * "History_taxes".
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Array<{orderId: string, fillId: string, ticker: string, date: Date, quantity: number, price: number, fees: number}>} The fills.
+ */
+function readOrderFills(profile) {
+  const records = readResourceRecords('ORDER_HISTORY', profile);
+  const childFees = readOrderFeesFromChildSheet(profile);
+
+  return records
+    .map(record => {
+      const quantity = toAnalyticsNumber(record.filledQuantity);
+      const value = toAnalyticsNumber(record.filledValue, null);
+      const price = toAnalyticsNumber(record.fillPrice, null);
+      const orderId = String(record.id);
+      const fees = record['taxes.quantity'] !== undefined
+        ? sumFeeAmounts(record['taxes.quantity'])
+        : childFees[orderId] || 0;
+      return {
+        orderId: orderId,
+        fillId: record.fillId ? String(record.fillId) : '',
+        ticker: record.ticker,
+        date: toAnalyticsDate(record.dateExecuted) || toAnalyticsDate(record.dateCreated),
+        quantity: quantity,
+        price: price !== null ? price : (value !== null && quantity !== 0 ? Math.abs(value / quantity) : 0),
+        fees: fees
+      };
+    })
+    .filter(fill => fill.ticker && fill.date && Math.abs(fill.quantity) > QUANTITY_EPSILON)
+    .sort((a, b) => a.date - b.date || a.orderId.localeCompare(b.orderId));
+}
+
+/**
+ * Converts the fees of fills from the account currency to the instrument's currency, so they can
+ * be added to costs in the fill price's currency. The fill's own rate from the "Statements" export
+ * is used, or else the latest rate of the instrument's currency (see `readLatestExchangeRates`).
+ *
+ * @param {Array<Object>} fills - The fills (see `readOrderFills`), with fees in the account currency.
+ * @param {Object} profile - The account profile.
+ * @returns {Array<Object>} Copies of the fills with fees in the instrument's currency; fees without
+ *   a rate are 0.
+ */
+function convertFillFees(fills, profile) {
+  const statementRates = readStatementRates(profile);
+  const latestRates = readLatestExchangeRates(profile);
+  const currencies = {};
+  readResourceRecords('INSTRUMENTS_LIST', profile).forEach(record => {
+    currencies[record.ticker] = String(record.currencyCode || '');
+  });
+
+  const unconverted = new Set();
+  const converted = fills.map(fill => {
+    if (!fill.fees) {
+      return fill;
+    }
+    const statement = statementRates[fill.fillId];
+    const rate = statement ? statement.rate : latestRates[currencies[fill.ticker]];
+    if (!rate) {
+      unconverted.add(fill.ticker);
+    }
+    return Object.assign({}, fill, { fees: rate ? fill.fees * rate : 0 });
+  });
+
+  if (unconverted.size > 0) {
+    Logger.log(`No exchange rate for the fees of ${Array.from(unconverted).join(', ')} (${profile.name}); ` +
+      'they are left out of the cost basis. Fetch the "Statements" export to include them.');
+  }
+  return converted;
+}
+
+/**
+ * Sums the order taxes of the "History_taxes" child sheet by order ID.
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Object<string, number>} The fees by order ID (empty without a child sheet).
+ */
+function readOrderFeesFromChildSheet(profile) {
+  const sheetName = getChildSheetName(getProfileSheetName(API_RESOURCES.ORDER_HISTORY.sheetName, profile), 'taxes');
+  const fees = {};
+  readSheetRecords(sheetName).forEach(record => {
+    const orderId = String(record.parentKey);
+    fees[orderId] = (fees[orderId] || 0) + Math.abs(toAnalyticsNumber(record.quantity));
+  });
+  return fees;
+}
+
+/**
+ * Sums fee amounts written to a single cell, e.g. -6.98 or "-0.62, -1.5".
+ *
+ * @param {*} value - The cell value.
+ * @returns {number} The total fees, as a positive amount.
+ */
+function sumFeeAmounts(value) {
+  return String(value)
+    .split(',')
+    .reduce((sum, amount) => sum + Math.abs(toAnalyticsNumber(amount.trim())), 0);
+}
+
+/**
+ * Gets the saved cost basis method.
+ *
+ * @returns {string} One of COST_BASIS_METHODS (FIFO by default).
+ */
+function getCostBasisMethod() {
+  const method = PropertiesService.getUserProperties().getProperty(COST_BASIS_METHOD_PROPERTY);
+  return COST_BASIS_METHODS[method] || COST_BASIS_METHODS.FIFO;
+}
+
+/**
+ * Prompts for the cost basis method and saves it. Used by the "Analytics" menu.
+ */
+function promptCostBasisMethod() {
+  const ui = SpreadsheetApp.getUi();
+  const methods = Object.keys(COST_BASIS_METHODS);
+  const response = ui.prompt('Cost Basis Method',
+    `Enter the lot matching method (${methods.join(', ')}). Currently: ${getCostBasisMethod()}.`, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const method = response.getResponseText().trim().toUpperCase();
+  if (!COST_BASIS_METHODS[method]) {
+    ui.alert(`Unknown method "${method}". Please enter one of ${methods.join(', ')}.`);
+    return;
+  }
+  PropertiesService.getUserProperties().setProperty(COST_BASIS_METHOD_PROPERTY, method);
+  ui.alert(`Cost basis is calculated with ${method} from now on.`);
+}
+
+/**
+ * Writes the cost basis sheets of the active profile and reports the outcome. Used by the "Analytics" menu.
+ */
+function showCostBasis() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = updateCostBasisSheets();
+    ui.alert(`Wrote ${result.rowsWritten} rows to the cost basis sheets.`);
+  } catch (error) {
+    ui.alert(error.message);
+  }
+}
+
+/**
+ * CostBasisLedger keeps the open lots of each ticker and records the disposals of the sells
+ * applied to it. Fills must be applied in the order they were executed.
+ */
+class CostBasisLedger {
+  /**
+   * @param {string} method - One of COST_BASIS_METHODS.
+   */
+  constructor(method) {
+    if (!COST_BASIS_METHODS[method]) {
+      throw new Error(`Unknown cost basis method: ${method}`);
+    }
+    this.method = method;
+    this.lots = {};
+    this.disposals = [];
+  }
+
+  /**
+   * Applies a fill: a buy opens a lot, a sell closes lots.
+   *
+   * @param {{orderId: string, ticker: string, date: Date, quantity: number, price: number, fees: number}} fill - The fill (see `readOrderFills`).
+   */
+  apply(fill) {
+    if (fill.quantity > 0) {
+      this.buy(fill);
+    } else {
+      this.sell(fill);
+    }
+  }
+
+  /**
+   * Opens a lot, or adds to the ticker's single pool with the average cost method.
+   *
+   * @param {Object} fill - The buy fill.
+   */
+  buy(fill) {
+    const lots = this.lots[fill.ticker] = this.lots[fill.ticker] || [];
+    const cost = fill.quantity * fill.price + fill.fees;
+
+    if (this.method === COST_BASIS_METHODS.AVERAGE && lots.length > 0) {
+      lots[0].quantity += fill.quantity;
+      lots[0].cost += cost;
+      return;
+    }
+    lots.push({ orderId: fill.orderId, date: fill.date, quantity: fill.quantity, cost: cost });
+  }
+
+  /**
+   * Closes lots for a sell and records the disposal.
+   *
+   * @param {Object} fill - The sell fill (negative quantity).
+   */
+  sell(fill) {
+    const lots = this.lots[fill.ticker] = this.lots[fill.ticker] || [];
+    const quantity = Math.abs(fill.quantity);
+    let remaining = quantity;
+    let cost = 0;
+    let firstAcquired = null;
+
+    while (remaining > QUANTITY_EPSILON && lots.length > 0) {
+      const index = this.method === COST_BASIS_METHODS.LIFO ? lots.length - 1 : 0;
+      const lot = lots[index];
+      const matched = Math.min(remaining, lot.quantity);
+      const matchedCost = lot.cost * matched / lot.quantity;
+
+      cost += matchedCost;
+      firstAcquired = firstAcquired && firstAcquired < lot.date ? firstAcquired : lot.date;
+      lot.quantity -= matched;
+      lot.cost -= matchedCost;
+      remaining -= matched;
+      if (lot.quantity <= QUANTITY_EPSILON) {
+        lots.splice(index, 1);
+      }
+    }
+
+    const proceeds = quantity * fill.price;
+    this.disposals.push({
+      ticker: fill.ticker,
+      orderId: fill.orderId,
+      date: fill.date,
+      quantity: quantity,
+      proceeds: proceeds,
+      cost: cost,
+      fees: fill.fees,
+      gain: proceeds - cost - fill.fees,
+      firstAcquired: firstAcquired,
+      unmatchedQuantity: remaining > QUANTITY_EPSILON ? remaining : 0
+    });
+  }
+
+  /**
+   * Gets the tickers the ledger has seen.
+   *
+   * @returns {Array<string>} The tickers, sorted.
+   */
+  getTickers() {
+    return Object.keys(this.lots).sort();
+  }
+
+  /**
+   * Gets the open lots of a ticker, oldest first.
+   *
+   * @param {string} ticker - The ticker.
+   * @returns {Array<{orderId: string, date: Date, quantity: number, cost: number}>} The open lots.
+   */
+  getOpenLots(ticker) {
+    return this.lots[ticker] || [];
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * ===================== Dividend Functions =========================
+ *
+ * This section turns the payouts of the "Dividends" sheet into a "Dividend Dashboard" sheet
+ * per profile with:
+ * - A monthly income calendar: the income received per month, one row per year.
+ * - Income by ticker, with the trailing twelve months (TTM) income, the yield on cost and the
+ *   current yield of open positions (TTM gross dividends per share over the average and the
+ *   current price of the "Portfolio" sheet), and the tax withheld.
+ * - Income by pie, from the dividends T212 tracks per pie in the "🥧Pies" sheet.
+ * - The payouts that had tax withheld.
+ * - A forecast of the next twelve months: every payout of the last twelve months is expected
+ *   again a year later, for the quantity held now (payouts from earlier this month in this
+ *   month, so the monthly forecast and the forecast by ticker cover the same months).
+ *
+ * Income is the net amount paid, in the account's currency. Withholding tax is taken from the
+ * "Statements" export when it has a "Withholding tax" column, and is otherwise the gross amount
+ * less the net amount for instruments priced in the account's currency.
+ *
+ * Functions in this section include:
+ * - `updateDividendDashboard`: Writes the dashboard.
+ * - `readDividendPayouts`: Reads the payouts with their withholding tax.
+ */
+
+const DIVIDEND_DASHBOARD_SHEET_NAME = 'Dividend Dashboard';
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const DIVIDEND_FORMATS = {
+  'Paid On': 'yyyy-mm-dd',
+  'Month': 'mmm yyyy',
+  'Total Income': '#,##0.00',
+  'TTM Income': '#,##0.00',
+  'Net Amount': '#,##0.00',
+  'Withholding Tax': '#,##0.00',
+  'Projected Income': '#,##0.00',
+  'Forecast (12M)': '#,##0.00',
+  'Dividends Gained': '#,##0.00',
+  'Dividends Reinvested': '#,##0.00',
+  'Dividends In Cash': '#,##0.00',
+  'Withholding Rate': '0.00%',
+  'Yield on Cost': '0.00%',
+  'Current Yield': '0.00%'
+};
+
+// Background of the cells flagging tax withheld
+const WITHHOLDING_HIGHLIGHT = '#fce8b2';
+
+/**
+ * Writes the dividend dashboard of a profile.
+ *
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string|Object} [params.profile] - The account profile (defaults to the active profile).
+ * @returns {FetchResult} The outcome, with the number of table rows written.
+ */
+function updateDividendDashboard(params = {}) {
+  const profile = resolveProfile(params.profile);
+  const today = toDayKey(new Date());
+  const yearAgo = `${Number(today.slice(0, 4)) - 1}${today.slice(4)}`;
+
+  const payouts = readDividendPayouts(profile);
+  const holdings = {};
+  readResourceRecords('PORTFOLIO', profile).forEach(record => {
+    holdings[record.ticker] = {
+      quantity: toAnalyticsNumber(record.quantity),
+      averagePrice: toAnalyticsNumber(record.averagePrice),
+      currentPrice: toAnalyticsNumber(record.currentPrice)
+    };
+  });
+
+  // Monthly income calendar, one row per year
+  const years = {};
+  payouts.forEach(payout => {
+    const year = payout.day.slice(0, 4);
+    years[year] = years[year] || new Array(MONTH_LABELS.length).fill(0);
+    years[year][Number(payout.day.slice(5, 7)) - 1] += payout.amount;
+  });
+  const calendarRows = Object.keys(years).sort().map(year =>
+    [year].concat(years[year], [years[year].reduce((sum, amount) => sum + amount, 0)]));
+
+  // The twelve months from this one
+  const forecastMonths = [];
+  for (let offset = 0; offset < MONTH_LABELS.length; offset++) {
+    const date = fromDayKey(`${today.slice(0, 7)}-01`);
+    date.setMonth(date.getMonth() + offset);
+    forecastMonths.push(date);
+  }
+  const lastForecastMonth = toDayKey(forecastMonths[forecastMonths.length - 1]).slice(0, 7);
+
+  // Income, yields and forecast by ticker
+  const tickers = {};
+  const forecast = {};
+  payouts.forEach(payout => {
+    const ticker = tickers[payout.ticker] = tickers[payout.ticker] ||
+      { payouts: 0, income: 0, ttmIncome: 0, withheld: 0, ttmGrossPerShare: 0, forecast: 0 };
+    ticker.payouts++;
+    ticker.income += payout.amount;
+    ticker.withheld += payout.withheld || 0;
+    if (payout.day <= yearAgo) {
+      return;
+    }
+
+    ticker.ttmIncome += payout.amount;
+    ticker.ttmGrossPerShare += payout.grossPerShare;
+    const holding = holdings[payout.ticker];
+    if (holding && payout.quantity > 0) {
+      const projected = payout.amount / payout.quantity * holding.quantity;
+      // A payout from earlier this month recurs after the forecast's last month, so it counts for this month
+      const nextYearMonth = `${Number(payout.day.slice(0, 4)) + 1}${payout.day.slice(4, 7)}`;
+      const month = nextYearMonth > lastForecastMonth ? payout.day.slice(0, 7) : nextYearMonth;
+      ticker.forecast += projected;
+      forecast[month] = (forecast[month] || 0) + projected;
+    }
+  });
+  const tickerRows = Object.keys(tickers).sort().map(name => {
+    const ticker = tickers[name];
+    const holding = holdings[name];
+    return [
+      name, ticker.payouts, ticker.income, ticker.ttmIncome, ticker.withheld, ticker.ttmGrossPerShare,
+      holding && holding.averagePrice > 0 ? ticker.ttmGrossPerShare / holding.averagePrice : '',
+      holding && holding.currentPrice > 0 ? ticker.ttmGrossPerShare / holding.currentPrice : '',
+      holding ? holding.quantity : 0, ticker.forecast
+    ];
+  });
+
+  const forecastRows = forecastMonths.map(date => [date, forecast[toDayKey(date).slice(0, 7)] || 0]);
+
+  // Dividends by pie
+  const pieNames = {};
+  readSheetRecords(getProfileSheetName(API_RESOURCES.PIE.sheetName, profile)).forEach(record => {
+    if (record.pieId && record.pieName) {
+      pieNames[String(record.pieId)] = record.pieName;
+    }
+  });
+  const pieRows = readResourceRecords('PIES', profile).map(record => [
+    pieNames[String(record.id)] || `Pie ${record.id}`, record.id,
+    toAnalyticsNumber(record['dividendDetails.gained']),
+    toAnalyticsNumber(record['dividendDetails.reinvested']),
+    toAnalyticsNumber(record['dividendDetails.inCash'])
+  ]);
+
+  const withholdingRows = payouts
+    .filter(payout => payout.withheld > 0)
+    .map(payout => [payout.date, payout.ticker, payout.amount, payout.withheld, payout.withheld / (payout.amount + payout.withheld)]);
+
+  // Tables on the left, charts on the right
+  const sheetName = getProfileSheetName(DIVIDEND_DASHBOARD_SHEET_NAME, profile);
+  const sheet = clearReportSheet(sheetName);
+  const calendarFormats = {};
+  MONTH_LABELS.concat(['Total']).forEach(header => {
+    calendarFormats[header] = '#,##0.00';
+  });
+  const calendar = writeReportSection(sheet, 1, 'Monthly Income', ['Year'].concat(MONTH_LABELS, ['Total']), calendarRows, calendarFormats);
+  const forecastSection = writeReportSection(sheet, calendar.nextRow, 'Forecast (Next 12 Months)', ['Month', 'Projected Income'], forecastRows, DIVIDEND_FORMATS);
+  const tickerSection = writeReportSection(sheet, forecastSection.nextRow, 'Income by Ticker', [
+    'Ticker', 'Payouts', 'Total Income', 'TTM Income', 'Withholding Tax', 'TTM Gross Per Share', 'Yield on Cost',
+    'Current Yield', 'Quantity', 'Forecast (12M)'
+  ], tickerRows, DIVIDEND_FORMATS);
+  const pieSection = writeReportSection(sheet, tickerSection.nextRow, 'Income by Pie', [
+    'Pie', 'Pie ID', 'Dividends Gained', 'Dividends Reinvested', 'Dividends In Cash'
+  ], pieRows, DIVIDEND_FORMATS);
+  const withholdingSection = writeReportSection(sheet, pieSection.nextRow, 'Tax Withheld', [
+    'Paid On', 'Ticker', 'Net Amount', 'Withholding Tax', 'Withholding Rate'
+  ], withholdingRows, DIVIDEND_FORMATS);
+
+  tickerRows.forEach((row, index) => {
+    if (row[4] > 0) {
+      sheet.getRange(tickerSection.headerRow + 1 + index, 5).setBackground(WITHHOLDING_HIGHLIGHT);
+    }
+  });
+  if (withholdingSection.rowCount > 0) {
+    sheet.getRange(withholdingSection.headerRow + 1, 4, withholdingSection.rowCount, 2).setBackground(WITHHOLDING_HIGHLIGHT);
+  }
+
+  const chartColumn = MONTH_LABELS.length + 4;
+  addReportChart(sheet, Charts.ChartType.COLUMN, forecastSection, [1, 2], 'Projected Income by Month', 1, chartColumn);
+  addReportChart(sheet, Charts.ChartType.PIE, tickerSection, [1, 4], 'TTM Income by Ticker', 21, chartColumn);
+  sheet.autoResizeColumns(1, MONTH_LABELS.length + 2);
+
+  return {
+    status: 'completed',
+    sheetName: sheetName,
+    rowsWritten: calendarRows.length + forecastRows.length + tickerRows.length + pieRows.length + withholdingRows.length
+  };
+}
+
+/**
+ * Writes the dividend dashboard of the active profile and reports the outcome. Used by the "Analytics" menu.
+ */
+function showDividendDashboard() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = updateDividendDashboard();
+    ui.alert(`Wrote the dividend dashboard to "${result.sheetName}".`);
+  } catch (error) {
+    ui.alert(error.message);
+  }
+}
+
+/**
+ * Reads the dividend payouts of a profile, oldest first, with the tax withheld from them.
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Array<{date: Date, day: string, ticker: string, quantity: number, amount: number, grossPerShare: number, withheld: number|string}>}
+ *   The payouts; `withheld` is an empty string when it cannot be determined.
+ */
+function readDividendPayouts(profile) {
+  const accountCurrency = readAccountCurrency(profile);
+  const instruments = {};
+  readResourceRecords('INSTRUMENTS_LIST', profile).forEach(record => {
+    instruments[record.ticker] = { currency: String(record.currencyCode || ''), isin: String(record.isin || '') };
+  });
+  const statementTaxes = readStatementWithholding(profile, accountCurrency);
+
+  return readResourceRecords('DIVIDENDS', profile)
+    .map(record => {
+      const date = toAnalyticsDate(record.paidOn);
+      return {
+        date: date,
+        day: date ? toDayKey(date) : '',
+        ticker: record.ticker,
+        quantity: toAnalyticsNumber(record.quantity),
+        amount: toAnalyticsNumber(record.amount),
+        grossPerShare: toAnalyticsNumber(record.grossAmountPerShare)
+      };
+    })
+    .filter(payout => payout.date && payout.ticker)
+    .map(payout => {
+      const instrument = instruments[payout.ticker] || { currency: '', isin: '' };
+      const statementTax = statementTaxes[`${instrument.isin}|${toDayKey(payout.date, 'UTC')}`];
+      const units = !accountCurrency || !instrument.currency ? null
+        : instrument.currency === accountCurrency ? 1
+        : accountCurrency === 'GBP' ? GBP_PRICE_UNITS[instrument.currency] || null
+        : null;
+
+      if (statementTax !== undefined) {
+        payout.withheld = statementTax;
+      } else if (units) {
+        payout.withheld = Math.max(0, payout.grossPerShare * payout.quantity / units - payout.amount);
+      } else {
+        payout.withheld = '';
+      }
+      return payout;
+    })
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Reads the tax withheld from dividends in a profile's "Statements" sheet, converted to the
+ * account currency with the row's exchange rate.
+ *
+ * @param {Object} profile - The account profile.
+ * @param {string} accountCurrency - The account's currency.
+ * @returns {Object<string, number>} The tax withheld by ISIN and UTC day ('isin|yyyy-MM-dd'); empty if the
+ *   export has no "Withholding tax" column.
+ */
+function readStatementWithholding(profile, accountCurrency) {
+  const taxes = {};
+  readSheetRecords(getProfileSheetName(API_RESOURCES.HISTORY_EXPORTS.sheetName, profile)).forEach(record => {
+    if (!/^Dividend/.test(String(record['Action'])) || record['Withholding tax'] === undefined || !record['ISIN']) {
+      return;
+    }
+    // Export times are UTC; a time read as a date shows the same wall-clock time in the spreadsheet's zone
+    const time = record['Time'];
+    const day = time instanceof Date ? toDayKey(time) : String(time).slice(0, 10);
+    const tax = Math.abs(toAnalyticsNumber(record['Withholding tax']));
+    const rate = record['Currency (Withholding tax)'] === accountCurrency ? 1 : toAnalyticsNumber(record['Exchange rate'], 1) || 1;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      const key = `${record['ISIN']}|${day}`;
+      taxes[key] = (taxes[key] || 0) + tax / rate;
+    }
+  });
+  return taxes;
+}
@@ -0,0 +1,398 @@
+/**
+ * ===================== Performance Functions =========================
+ *
+ * This section calculates the returns of an account, and of each of its pies, for a set of
+ * periods and writes them to the profile's "Performance" sheet:
+ * - Simple return: the gain (end value - start value - net cash flow) over the money put in
+ *   (start value + inflows).
+ * - Time-weighted return (TWR): the sub-period returns between valuations chained together, so
+ *   the timing and size of deposits and withdrawals do not affect it.
+ * - Money-weighted return (MWR): the annualised internal rate of return (XIRR) of the cash flows,
+ *   which does reflect their timing.
+ *
+ * Account values come from the daily snapshots in "Account History" (see `takeSnapshot()`), and
+ * the external cash flows (deposits, withdrawals and transfers) from the "212Transactions"
+ * sheet. For pies, values come from "Pie History" and a pie's cash flows are the changes of its
+ * invested value between snapshots. Returns over periods without at least two valuations are
+ * left empty, so the more snapshots there are, the more accurate the TWR is.
+ *
+ * Functions in this section include:
+ * - `updatePerformanceSheet`: Writes the standard periods (MTD, YTD, 1Y, since inception).
+ * - `promptCustomPerformancePeriod`: Adds a custom period.
+ * - `calculatePeriodPerformance`, `calculateTwr` and `calculateXirr`: The calculations.
+ */
+
+const PERFORMANCE_SHEET_NAME = 'Performance';
+
+const PERFORMANCE_HEADERS = [
+  'Scope', 'Pie ID', 'Period', 'From', 'To', 'Start Value', 'End Value', 'Net Cash Flow', 'Gain',
+  'Simple Return', 'TWR', 'MWR (XIRR)', 'Valuations'
+];
+
+const PERFORMANCE_FORMATS = {
+  'From': 'yyyy-mm-dd',
+  'To': 'yyyy-mm-dd',
+  'Start Value': '#,##0.00',
+  'End Value': '#,##0.00',
+  'Net Cash Flow': '#,##0.00',
+  'Gain': '#,##0.00',
+  'Simple Return': '0.00%',
+  'TWR': '0.00%',
+  'MWR (XIRR)': '0.00%'
+};
+
+// The standard periods of the "Performance" sheet
+const PERFORMANCE_PERIODS = ['MTD', 'YTD', '1Y', 'Since Inception'];
+
+// Transaction types that move money into or out of the account (fees are part of the return)
+const EXTERNAL_FLOW_TYPES = ['DEPOSIT', 'WITHDRAW', 'TRANSFER'];
+
+/**
+ * Writes the returns of the standard periods to the active profile's "Performance" sheet.
+ * Used by the "Analytics" menu.
+ *
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string|Object} [params.profile] - The account profile (defaults to the active profile).
+ * @param {{from: string, to: string}} [params.custom] - A custom period (day keys) to add.
+ * @returns {FetchResult} The outcome, with the number of rows written.
+ */
+function updatePerformanceSheet(params = {}) {
+  const profile = resolveProfile(params.profile);
+  const today = toDayKey(new Date());
+
+  const account = {
+    valuations: readAccountValuations(profile),
+    flows: readExternalCashFlows(profile)
+  };
+  const pies = readPieSeries(profile);
+
+  const ranges = PERFORMANCE_PERIODS.map(period => getPerformancePeriod(period, today, account));
+  if (params.custom) {
+    ranges.push({ period: 'Custom', from: params.custom.from, to: params.custom.to });
+  }
+
+  const rows = [];
+  ranges.forEach(range => rows.push(toPerformanceRow('Account', '', range, calculatePeriodPerformance(account.valuations, account.flows, range))));
+  Object.keys(pies).forEach(pieId => {
+    const pie = pies[pieId];
+    ranges.forEach(range => {
+      const pieRange = range.period === 'Since Inception' ? getPerformancePeriod(range.period, today, pie) : range;
+      rows.push(toPerformanceRow(pie.name || `Pie ${pieId}`, pieId, pieRange, calculatePeriodPerformance(pie.valuations, pie.flows, pieRange)));
+    });
+  });
+
+  const sheetName = getProfileSheetName(PERFORMANCE_SHEET_NAME, profile);
+  writeReportSheet(sheetName, PERFORMANCE_HEADERS, rows, PERFORMANCE_FORMATS);
+  return { status: 'completed', sheetName: sheetName, rowsWritten: rows.length };
+}
+
+/**
+ * Prompts for a custom period and writes the "Performance" sheet with it. Used by the "Analytics" menu.
+ */
+function promptCustomPerformancePeriod() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt('Custom Performance Period',
+    'Enter the first and last day of the period (e.g. 2024-01-01 2024-06-30):', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const days = response.getResponseText().trim().split(/[\s,]+/);
+  const isDay = day => /^\d{4}-\d{2}-\d{2}$/.test(day || '');
+  if (days.length !== 2 || !isDay(days[0]) || !isDay(days[1]) || days[0] > days[1]) {
+    ui.alert('Please enter two days in the form yyyy-mm-dd, the first one not after the second.');
+    return;
+  }
+
+  try {
+    const result = updatePerformanceSheet({ custom: { from: days[0], to: days[1] } });
+    ui.alert(`Wrote ${result.rowsWritten} rows to "${result.sheetName}".`);
+  } catch (error) {
+    ui.alert(error.message);
+  }
+}
+
+/**
+ * Writes the standard periods to the "Performance" sheet and reports the outcome.
+ * Used by the "Analytics" menu.
+ */
+function showPerformance() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = updatePerformanceSheet();
+    ui.alert(`Wrote ${result.rowsWritten} rows to "${result.sheetName}".`);
+  } catch (error) {
+    ui.alert(error.message);
+  }
+}
+
+/**
+ * ===================== Performance Data =========================
+ */
+
+/**
+ * Reads the account's daily values from its "Account History" sheet.
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Array<{day: string, value: number}>} The valuations, oldest first.
+ */
+function readAccountValuations(profile) {
+  const records = readSheetRecords(getProfileSheetName(SNAPSHOT_SHEETS.ACCOUNT.sheetName, profile));
+  return records
+    .map(record => ({ date: toAnalyticsDate(record['Date']), value: toAnalyticsNumber(record['Total Value'], null) }))
+    .filter(point => point.date && point.value !== null)
+    .map(point => ({ day: toDayKey(point.date), value: point.value }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Reads the external cash flows of the account from its transactions sheet: deposits are
+ * positive, withdrawals negative, and transfers keep their sign.
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Array<{day: string, amount: number}>} The cash flows, oldest first.
+ */
+function readExternalCashFlows(profile) {
+  return readResourceRecords('TRANSACTIONS', profile)
+    .map(record => ({
+      type: toEnumCode(record.type),
+      date: toAnalyticsDate(record.dateTime),
+      amount: toAnalyticsNumber(record.amount)
+    }))
+    .filter(flow => flow.date && EXTERNAL_FLOW_TYPES.includes(flow.type) && flow.amount !== 0)
+    .map(flow => ({
+      day: toDayKey(flow.date),
+      amount: flow.type === 'DEPOSIT' ? Math.abs(flow.amount)
+        : flow.type === 'WITHDRAW' ? -Math.abs(flow.amount)
+        : flow.amount
+    }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Reads the daily values of each pie from "Pie History". A pie's cash flows are the changes of
+ * its invested value between snapshots (its first invested value counts as the first inflow).
+ * Pie names are taken from the "Pie Details" sheet when it has been fetched.
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Object<string, {name: string, valuations: Array<Object>, flows: Array<Object>}>} The series by pie ID.
+ */
+function readPieSeries(profile) {
+  const names = {};
+  readSheetRecords(getProfileSheetName(API_RESOURCES.PIE.sheetName, profile)).forEach(record => {
+    if (record.pieId && record.pieName) {
+      names[String(record.pieId)] = record.pieName;
+    }
+  });
+
+  const pies = {};
+  readSheetRecords(getProfileSheetName(SNAPSHOT_SHEETS.PIES.sheetName, profile)).forEach(record => {
+    const date = toAnalyticsDate(record['Date']);
+    const pieId = String(record['Pie ID']);
+    if (!date || !pieId) {
+      return;
+    }
+    pies[pieId] = pies[pieId] || { name: names[pieId] || '', points: [] };
+    pies[pieId].points.push({
+      day: toDayKey(date),
+      value: toAnalyticsNumber(record['Value']),
+      invested: toAnalyticsNumber(record['Invested'])
+    });
+  });
+
+  Object.values(pies).forEach(pie => {
+    pie.points.sort((a, b) => a.day.localeCompare(b.day));
+    pie.valuations = pie.points.map(point => ({ day: point.day, value: point.value }));
+    pie.flows = pie.points
+      .map((point, index) => ({ day: point.day, amount: point.invested - (index > 0 ? pie.points[index - 1].invested : 0) }))
+      .filter(flow => flow.amount !== 0);
+    delete pie.points;
+  });
+  return pies;
+}
+
+/**
+ * Gets the range of a standard period ending today.
+ * "Since Inception" starts at the first cash flow or valuation of the series.
+ *
+ * @param {string} period - One of PERFORMANCE_PERIODS.
+ * @param {string} today - Today's day key.
+ * @param {{valuations: Array<Object>, flows: Array<Object>}} series - The series, for "Since Inception".
+ * @returns {{period: string, from: string, to: string}} The range, as day keys.
+ */
+function getPerformancePeriod(period, today, series) {
+  const [year, month] = today.split('-');
+  switch (period) {
+    case 'MTD':
+      return { period: period, from: `${year}-${month}-01`, to: today };
+    case 'YTD':
+      return { period: period, from: `${year}-01-01`, to: today };
+    case '1Y':
+      return { period: period, from: `${Number(year) - 1}${today.slice(4)}`, to: today };
+    default: {
+      const days = series.valuations.map(point => point.day).concat(series.flows.map(flow => flow.day)).sort();
+      return { period: period, from: days.length > 0 ? days[0] : today, to: today };
+    }
+  }
+}
+
+/**
+ * ===================== Performance Calculations =========================
+ */
+
+/**
+ * Calculates the returns of a series over a period.
+ * The start value is the last valuation before the first day of the period (zero if there is
+ * none); the end value is the last valuation up to its last day. Cash flows after the start
+ * valuation up to the end valuation count towards the period (including those between the start
+ * valuation and the first day), as in `calculateTwr`; a valuation includes the flows of its own day.
+ *
+ * @param {Array<{day: string, value: number}>} valuations - The valuations, oldest first.
+ * @param {Array<{day: string, amount: number}>} flows - The cash flows into the series, oldest first.
+ * @param {{from: string, to: string}} range - The period, as day keys.
+ * @returns {Object|null} The start and end values and days, net cash flow, gain, simple return,
+ *   TWR and MWR ('' when they cannot be calculated), or null if there is no valuation in the period.
+ */
+function calculatePeriodPerformance(valuations, flows, range) {
+  const before = valuations.filter(point => point.day < range.from);
+  const inside = valuations.filter(point => point.day >= range.from && point.day <= range.to);
+  const end = inside.length > 0 ? inside[inside.length - 1] : null;
+  if (!end) {
+    return null;
+  }
+
+  const start = before.length > 0 ? before[before.length - 1] : { day: range.from, value: 0 };
+  const periodFlows = flows.filter(flow =>
+    (before.length > 0 ? flow.day > start.day : flow.day >= range.from) && flow.day <= end.day);
+  const netFlow = periodFlows.reduce((sum, flow) => sum + flow.amount, 0);
+  const inflows = periodFlows.filter(flow => flow.amount > 0).reduce((sum, flow) => sum + flow.amount, 0);
+  const gain = end.value - start.value - netFlow;
+  const invested = start.value + inflows;
+
+  // The investor's view: money put in is negative, the end value is received
+  const xirrFlows = [];
+  if (start.value !== 0) {
+    xirrFlows.push({ day: start.day, amount: -start.value });
+  }
+  periodFlows.forEach(flow => xirrFlows.push({ day: flow.day, amount: -flow.amount }));
+  xirrFlows.push({ day: end.day, amount: end.value });
+
+  const twr = calculateTwr(before.length > 0 ? [start].concat(inside) : inside, flows);
+  const mwr = calculateXirr(xirrFlows);
+
+  return {
+    from: start.day,
+    to: end.day,
+    startValue: start.value,
+    endValue: end.value,
+    netFlow: netFlow,
+    gain: gain,
+    simpleReturn: invested > 0 ? gain / invested : '',
+    twr: twr === null ? '' : twr,
+    mwr: mwr === null ? '' : mwr,
+    valuations: inside.length
+  };
+}
+
+/**
+ * Calculates the time-weighted return of consecutive valuations: each sub-period's return is
+ * (end value - cash flow) / start value - 1, with the flows of the days after the start up to
+ * the end of the sub-period, and the sub-period returns are compounded.
+ *
+ * @param {Array<{day: string, value: number}>} points - The valuations, oldest first.
+ * @param {Array<{day: string, amount: number}>} flows - The cash flows, oldest first.
+ * @returns {number|null} The TWR, or null with fewer than two valuations.
+ */
+function calculateTwr(points, flows) {
+  if (points.length < 2) {
+    return null;
+  }
+
+  let growth = 1;
+  let periods = 0;
+  for (let index = 1; index < points.length; index++) {
+    const previous = points[index - 1];
+    const current = points[index];
+    if (previous.value <= 0) {
+      continue;  // Nothing was invested, so there is no return to measure
+    }
+    const flow = flows
+      .filter(item => item.day > previous.day && item.day <= current.day)
+      .reduce((sum, item) => sum + item.amount, 0);
+    growth *= (current.value - flow) / previous.value;
+    periods++;
+  }
+
+  return periods > 0 ? growth - 1 : null;
+}
+
+/**
+ * Calculates the annualised internal rate of return of dated cash flows (XIRR), using
+ * Newton's method with a bisection fallback.
+ *
+ * @param {Array<{day: string, amount: number}>} flows - The cash flows (negative = paid, positive = received).
+ * @returns {number|null} The rate, or null if there is no solution (e.g. no flow of either sign).
+ */
+function calculateXirr(flows) {
+  if (!flows.some(flow => flow.amount < 0) || !flows.some(flow => flow.amount > 0)) {
+    return null;
+  }
+
+  const first = flows.map(flow => flow.day).sort()[0];
+  const years = flows.map(flow => daysBetween(first, flow.day) / 365);
+  const npv = rate => flows.reduce((sum, flow, index) => sum + flow.amount / Math.pow(1 + rate, years[index]), 0);
+  const derivative = rate => flows.reduce((sum, flow, index) => sum - years[index] * flow.amount / Math.pow(1 + rate, years[index] + 1), 0);
+
+  // Newton's method converges quickly from a reasonable guess
+  let rate = 0.1;
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const slope = derivative(rate);
+    if (!isFinite(slope) || slope === 0) {
+      break;
+    }
+    const next = rate - npv(rate) / slope;
+    if (!isFinite(next) || next <= -1) {
+      break;
+    }
+    if (Math.abs(next - rate) < 1e-9) {
+      return next;
+    }
+    rate = next;
+  }
+
+  // Otherwise bisect between a total loss and a very high return
+  let low = -0.999999;
+  let high = 100;
+  if (npv(low) * npv(high) > 0) {
+    return null;
+  }
+  for (let iteration = 0; iteration < 200; iteration++) {
+    const middle = (low + high) / 2;
+    if (npv(low) * npv(middle) <= 0) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Builds a row of the "Performance" sheet.
+ *
+ * @param {string} scope - 'Account' or the pie's name.
+ * @param {string} pieId - The pie's ID, empty for the account.
+ * @param {{period: string, from: string, to: string}} range - The requested period.
+ * @param {Object|null} result - The result of `calculatePeriodPerformance`.
+ * @returns {Array<*>} The row.
+ */
+function toPerformanceRow(scope, pieId, range, result) {
+  if (!result) {
+    return [scope, pieId, range.period, fromDayKey(range.from), fromDayKey(range.to), '', '', '', '', '', '', '', 0];
+  }
+  return [
+    scope, pieId, range.period, fromDayKey(result.from), fromDayKey(result.to),
+    result.startValue, result.endValue, result.netFlow, result.gain,
+    result.simpleReturn, result.twr, result.mwr, result.valuations
+  ];
+}
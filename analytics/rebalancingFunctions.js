@@ -0,0 +1,283 @@
+/**
+ * ===================== Rebalancing Functions =========================
+ *
+ * This section measures how far each pie has drifted from its targets, from the instruments
+ * of the "Pie Details" sheet, and proposes the trades that bring it back:
+ * - Drift: an instrument's current share of the pie's value minus its target share. A pie's
+ *   drift is half the sum of its instruments' absolute drifts, i.e. the share of the pie
+ *   that is in the wrong place.
+ * - Buy only: the amount to invest (the planned deposit plus the pie's cash) is spread over
+ *   the most underweight instruments first, raising them to a common level of their targets
+ *   ("water-filling"), so the pie ends up as close to target as possible without selling.
+ * - Full rebalance: every instrument is bought or sold to its exact target.
+ *
+ * Drift goes to the "Pie Drift" sheet (one row per pie) and the proposed trades to the
+ * "Rebalancing" sheet (one row per instrument), from which `copyRebalancingToOrderTickets`
+ * adds market orders to the "Order Tickets" sheet for review and submission.
+ *
+ * Functions in this section include:
+ * - `updateRebalancingSheets`: Writes both sheets.
+ * - `calculateBuyOnlyAllocation` / `calculateFullRebalance`: Propose the trades of one pie.
+ */
+
+const REBALANCING_SHEETS = {
+  DRIFT: 'Pie Drift',
+  TRADES: 'Rebalancing'
+};
+
+const PIE_DRIFT_HEADERS = [
+  'Pie ID', 'Pie', 'Value', 'Cash', 'Instruments', 'Drift', 'Max Drift', 'Most Overweight', 'Most Underweight'
+];
+const REBALANCING_HEADERS = [
+  'Pie ID', 'Pie', 'Ticker', 'Mode', 'Target Share', 'Current Share', 'Drift', 'Value', 'Value After', 'Share After',
+  'Trade Amount', 'Side', 'Quantity', 'Est. Price'
+];
+
+const REBALANCING_FORMATS = {
+  'Value': '#,##0.00',
+  'Cash': '#,##0.00',
+  'Value After': '#,##0.00',
+  'Trade Amount': '#,##0.00',
+  'Quantity': '#,##0.0000',
+  'Est. Price': '#,##0.0000',
+  'Target Share': '0.00%',
+  'Current Share': '0.00%',
+  'Share After': '0.00%',
+  'Drift': '0.00%',
+  'Max Drift': '0.00%'
+};
+
+const REBALANCING_MODES = {
+  BUY_ONLY: 'Buy Only',
+  FULL: 'Full Rebalance'
+};
+
+// Trades smaller than this (in the account currency) are not worth placing
+const MIN_TRADE_AMOUNT = 0.01;
+
+/**
+ * Writes the drift of a profile's pies and the trades that rebalance them.
+ *
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string|Object} [params.profile] - The account profile (defaults to the active profile).
+ * @param {number} [params.deposit=0] - The amount to invest in each pie, besides its cash.
+ * @param {boolean} [params.full=false] - Whether trades may sell (full rebalance) rather than only buy.
+ * @returns {FetchResult} The outcome, with the number of rows written to both sheets.
+ * @throws {Error} If the "Pie Details" sheet has no instruments.
+ */
+function updateRebalancingSheets(params = {}) {
+  const profile = resolveProfile(params.profile);
+  const deposit = params.deposit || 0;
+  const mode = params.full ? REBALANCING_MODES.FULL : REBALANCING_MODES.BUY_ONLY;
+
+  const pies = readPieInstruments(profile);
+  if (Object.keys(pies).length === 0) {
+    throw new Error('There are no pie instruments to rebalance. Fetch the pie details first.');
+  }
+  const prices = {};
+  readResourceRecords('PORTFOLIO', profile).forEach(record => {
+    prices[record.ticker] = toAnalyticsNumber(record.currentPrice, null);
+  });
+
+  const driftRows = [];
+  const tradeRows = [];
+  Object.keys(pies).forEach(pieId => {
+    const pie = pies[pieId];
+    const total = pie.instruments.reduce((sum, instrument) => sum + instrument.value, 0);
+    pie.instruments.forEach(instrument => {
+      instrument.share = total > 0 ? instrument.value / total : 0;
+      instrument.drift = instrument.share - instrument.target;
+    });
+
+    const sorted = pie.instruments.slice().sort((a, b) => b.drift - a.drift);
+    driftRows.push([
+      pieId, pie.name, total, pie.cash, pie.instruments.length,
+      pie.instruments.reduce((sum, instrument) => sum + Math.abs(instrument.drift), 0) / 2,
+      Math.max(...pie.instruments.map(instrument => Math.abs(instrument.drift))),
+      sorted[0].drift > 0 ? sorted[0].ticker : '',
+      sorted[sorted.length - 1].drift < 0 ? sorted[sorted.length - 1].ticker : ''
+    ]);
+
+    const amount = deposit + pie.cash;
+    const trades = params.full
+      ? calculateFullRebalance(pie.instruments, amount)
+      : calculateBuyOnlyAllocation(pie.instruments, amount);
+    const totalAfter = pie.instruments.reduce((sum, instrument, index) => sum + instrument.value + trades[index], 0);
+
+    pie.instruments.forEach((instrument, index) => {
+      const trade = Math.abs(trades[index]) >= MIN_TRADE_AMOUNT ? trades[index] : 0;
+      const valueAfter = instrument.value + trades[index];
+      // Quantities need the price in the account currency, which the pie's own value and quantity give
+      const unitValue = instrument.quantity > 0 ? instrument.value / instrument.quantity : null;
+      tradeRows.push([
+        pieId, pie.name, instrument.ticker, mode, instrument.target, instrument.share, instrument.drift,
+        instrument.value, valueAfter, totalAfter > 0 ? valueAfter / totalAfter : 0, trade,
+        trade > 0 ? 'BUY' : trade < 0 ? 'SELL' : '',
+        trade !== 0 && unitValue ? Math.floor(Math.abs(trade) / unitValue * 10000) / 10000 : '',
+        prices[instrument.ticker] !== undefined && prices[instrument.ticker] !== null ? prices[instrument.ticker] : ''
+      ]);
+    });
+  });
+
+  writeReportSheet(getProfileSheetName(REBALANCING_SHEETS.DRIFT, profile), PIE_DRIFT_HEADERS, driftRows, REBALANCING_FORMATS);
+  const sheetName = getProfileSheetName(REBALANCING_SHEETS.TRADES, profile);
+  writeReportSheet(sheetName, REBALANCING_HEADERS, tradeRows, REBALANCING_FORMATS);
+  return { status: 'completed', sheetName: sheetName, rowsWritten: driftRows.length + tradeRows.length };
+}
+
+/**
+ * Prompts for the amount to invest and the mode, and writes the rebalancing sheets.
+ * Used by the "Analytics" menu.
+ */
+function promptRebalancing() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt('Rebalance Pies',
+    'Enter the amount you plan to invest in each pie (0 to only use the pie\'s cash):', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const deposit = Number(response.getResponseText().trim() || 0);
+  if (isNaN(deposit) || deposit < 0) {
+    ui.alert('Please enter a positive amount or 0.');
+    return;
+  }
+  const full = ui.alert('Full Rebalance?',
+    'Yes: buy and sell to reach the targets exactly. No: only buy, with the amount to invest.', ui.ButtonSet.YES_NO_CANCEL);
+  if (full === ui.Button.CANCEL) {
+    return;
+  }
+
+  try {
+    const result = updateRebalancingSheets({ deposit: deposit, full: full === ui.Button.YES });
+    ui.alert(`Wrote the proposed trades to "${result.sheetName}".`);
+  } catch (error) {
+    ui.alert(error.message);
+  }
+}
+
+/**
+ * Adds the proposed trades of the active profile's "Rebalancing" sheet to its "Order Tickets"
+ * sheet as market orders, with "Submit" unchecked so they can be reviewed first.
+ * Used by the "Analytics" menu.
+ */
+function copyRebalancingToOrderTickets() {
+  const ui = SpreadsheetApp.getUi();
+  const profile = resolveProfile();
+  const trades = readSheetRecords(getProfileSheetName(REBALANCING_SHEETS.TRADES, profile))
+    .filter(record => record['Side'] && toAnalyticsNumber(record['Quantity']) > 0);
+  if (trades.length === 0) {
+    ui.alert('There are no proposed trades with a quantity. Run "Rebalance Pies..." first.');
+    return;
+  }
+
+  const sheetName = getProfileSheetName(API_RESOURCES.ORDER_MARKET.sheetName, profile);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName) || setupOrderTicketsSheet(sheetName);
+  const headers = getSheetHeaders(sheet);
+  const rows = trades.map(trade => {
+    const values = {
+      'Ticker': trade['Ticker'],
+      'Side': trade['Side'],
+      'Type': 'MARKET',
+      'Quantity': trade['Quantity'],
+      'Est. Price': trade['Est. Price'],
+      'Submit': false
+    };
+    return headers.map(header => values[header] !== undefined ? values[header] : '');
+  });
+
+  // Append below the last ticket; the sheet's rows are pre-filled with checkboxes
+  const tickets = readOrderTickets(sheet);
+  const startRow = tickets.length > 0 ? tickets[tickets.length - 1].row + 1 : 2;
+  sheet.getRange(startRow, 1, rows.length, headers.length).setValues(rows);
+  ui.alert(`Added ${rows.length} order ticket(s) to "${sheetName}". Review them and check "Submit" to place them.`);
+}
+
+/**
+ * Reads the instruments of each pie from a profile's "Pie Details" sheet, with the pie's cash
+ * from the pies sheet.
+ *
+ * @param {Object} profile - The account profile.
+ * @returns {Object<string, {name: string, cash: number, instruments: Array<{ticker: string, target: number, value: number, quantity: number}>}>}
+ *   The pies by ID.
+ */
+function readPieInstruments(profile) {
+  const cash = {};
+  readResourceRecords('PIES', profile).forEach(record => {
+    cash[String(record.id)] = toAnalyticsNumber(record.cash);
+  });
+
+  const pies = {};
+  readSheetRecords(getProfileSheetName(API_RESOURCES.PIE.sheetName, profile)).forEach(record => {
+    const pieId = String(record.pieId || '');
+    if (!pieId || !record.ticker) {
+      return;
+    }
+    pies[pieId] = pies[pieId] || { name: record.pieName || `Pie ${pieId}`, cash: cash[pieId] || 0, instruments: [] };
+    pies[pieId].instruments.push({
+      ticker: record.ticker,
+      target: toAnalyticsNumber(record.targetShare),
+      value: toAnalyticsNumber(record.value),
+      quantity: toAnalyticsNumber(record.ownedQuantity)
+    });
+  });
+  return pies;
+}
+
+/**
+ * Spreads an amount over instruments without selling, so their values end up as close to their
+ * targets as possible: the instruments furthest below target are raised first, all to the same
+ * fraction of their target value. Once every instrument is at target, the rest is spread by target.
+ *
+ * @param {Array<{target: number, value: number}>} instruments - The instruments (targets sum to 1).
+ * @param {number} amount - The amount to invest.
+ * @returns {Array<number>} The amount to buy of each instrument.
+ */
+function calculateBuyOnlyAllocation(instruments, amount) {
+  const total = instruments.reduce((sum, instrument) => sum + instrument.value, 0) + amount;
+  const targets = instruments.map(instrument => instrument.target * total);
+  const shortfall = instruments.reduce((sum, instrument, index) => sum + Math.max(0, targets[index] - instrument.value), 0);
+
+  if (amount <= 0) {
+    return instruments.map(() => 0);
+  }
+  if (shortfall <= amount) {
+    const targetSum = instruments.reduce((sum, instrument) => sum + instrument.target, 0);
+    return instruments.map((instrument, index) => Math.max(0, targets[index] - instrument.value) +
+      (targetSum > 0 ? (amount - shortfall) * instrument.target / targetSum : 0));
+  }
+
+  // Find the level L (a fraction of the target weights) where sum(max(0, L * target - value)) = amount
+  const candidates = instruments
+    .map((instrument, index) => ({ index: index, target: instrument.target, ratio: instrument.value / instrument.target }))
+    .filter(candidate => candidate.target > 0)
+    .sort((a, b) => a.ratio - b.ratio);
+
+  let targetSum = 0;
+  let valueSum = 0;
+  let level = 0;
+  for (let position = 0; position < candidates.length; position++) {
+    targetSum += candidates[position].target;
+    valueSum += candidates[position].target * candidates[position].ratio;
+    level = (amount + valueSum) / targetSum;
+    const next = candidates[position + 1];
+    if (!next || level <= next.ratio) {
+      break;
+    }
+  }
+
+  return instruments.map(instrument => instrument.target > 0 ? Math.max(0, level * instrument.target - instrument.value) : 0);
+}
+
+/**
+ * Calculates the trades that bring every instrument to its exact target after investing an amount.
+ *
+ * @param {Array<{target: number, value: number}>} instruments - The instruments (targets sum to 1).
+ * @param {number} amount - The amount to invest.
+ * @returns {Array<number>} The amount to buy (positive) or sell (negative) of each instrument.
+ */
+function calculateFullRebalance(instruments, amount) {
+  const total = instruments.reduce((sum, instrument) => sum + instrument.value, 0) + amount;
+  const targetSum = instruments.reduce((sum, instrument) => sum + instrument.target, 0);
+  return instruments.map(instrument => (targetSum > 0 ? total * instrument.target / targetSum : 0) - instrument.value);
+}
@@ -1,19 +1,24 @@
 /**
  * Save API configuration and test connection
  * This will be the ONLY function that tests the API connection
+ * The key is stored in the named account profile (created if it does not exist).
+ *
+ * @param {string} apiKey - The API key to test and save.
+ * @param {string} environment - The environment of the key ('demo' or 'live').
+ * @param {string} [profileName] - The profile to save to (defaults to the active profile, or "Default").
+ * @param {string} [accountType] - The account type of the profile (see ACCOUNT_TYPES).
  */
-function saveApiConfig(apiKey, environment) {
+function saveApiConfig(apiKey, environment, profileName, accountType) {
   console.log('saveApiConfig called with environment:', environment);
   
     // If environment is undefined or invalid, get the saved value or default to 'demo'
     if (!environment || (environment !== 'demo' && environment !== 'live')) {
-      environment = PropertiesService.getUserProperties().getProperty('SELECTED_ENVIRONMENT') || 'demo';
+      environment = getSavedEnvironment() || 'demo';
       console.log('Using fallback environment:', environment);
     }
 
   try {
-    const API_DOMAIN = environment === 'live' ? API_DOMAIN_LIVE : API_DOMAIN_DEMO;
-    const baseUrl = `${API_DOMAIN}${API_VERSION}`;
+    const baseUrl = `${API_DOMAINS[environment]}${API_VERSION}`;
     const endpoint = API_RESOURCES.ACCOUNT_INFO.endpoint;
     const url = `${baseUrl}${endpoint}`;
     
@@ -37,17 +42,12 @@ function saveApiConfig(apiKey, environment) {
 
     if (responseCode === 200) {
       // Save credentials only after successful test
-      saveCredentials(apiKey, environment);
-      // Update the stored environment
-      PropertiesService.getUserProperties().setProperty('SELECTED_ENVIRONMENT', environment);  
+      saveCredentials(apiKey, environment, profileName, accountType);
       console.log('API connection successful, credentials saved');
       return { success: true };
-    } else if (responseCode === 429) {
-      console.log('Rate limit hit');
-      throw new Error('Rate limit exceeded. Please try again in a few minutes.');
     } else {
       console.log(`Failed with status code: ${responseCode}`);
-      throw new Error(`Connection failed (${responseCode}). Please check your API key.`);
+      throw createApiError(response, endpoint);
     }
     
   } catch (error) {
@@ -61,9 +61,10 @@ function saveApiConfig(apiKey, environment) {
 
 /**
  * Makes the actual API request
+ * through the chosen HTTP transport (see `getHttpTransport()`).
  */
 function makeInitialApiRequest(url, apiKey) {
-  return UrlFetchApp.fetch(url, {
+  return getHttpTransport().fetch(url, {
     method: 'GET',
     headers: {
       'Authorization': apiKey,
@@ -75,24 +76,32 @@ function makeInitialApiRequest(url, apiKey) {
 
 /**
  * Saves the credentials after successful validation
+ * into the named account profile, which becomes the active profile.
  */
-function saveCredentials(apiKey, environment) {
-  PropertiesService.getUserProperties().setProperties({
-    'API_KEY': apiKey,
-    'SELECTED_ENVIRONMENT': environment
+function saveCredentials(apiKey, environment, profileName, accountType) {
+  const active = profileManager.getActiveProfile();
+  const name = (profileName || '').trim() || (active ? active.name : 'Default');
+  const existing = profileManager.getProfile(name);
+
+  profileManager.saveProfile({
+    name: name,
+    apiKey: apiKey,
+    environment: environment,
+    accountType: accountType || (existing ? existing.accountType : ACCOUNT_TYPES.INVEST),
+    // New credentials must enable live trading again
+    allowLiveTrading: Boolean(existing && existing.allowLiveTrading && existing.apiKey === apiKey && existing.environment === environment)
   });
+  profileManager.setActiveProfile(name);
 }
 
 /**
- * Retrieves the API key for the given environment
+ * Retrieves the API key of the active profile if it uses the given environment
  */
 function getApiKey(environment) {
-  const userProperties = PropertiesService.getUserProperties();
-  const apiKey = userProperties.getProperty('API_KEY');
-  const savedEnvironment = userProperties.getProperty('SELECTED_ENVIRONMENT');
+  const profile = profileManager.getActiveProfile();
   
-  if (apiKey && savedEnvironment === environment) {
-    return apiKey;
+  if (profile && profile.environment === environment) {
+    return profile.apiKey;
   }
   
   return '';
@@ -100,7 +109,7 @@ function getApiKey(environment) {
 /**
 * @function getSavedEnvironment
 * @memberof module:apiUtilities
-* @description Retrieves the saved environment from the user properties.
+* @description Retrieves the environment of the active account profile.
 * This is useful for maintaining the selected environment across sessions.
 * @example
 * const savedEnvironment = getSavedEnvironment();
@@ -113,7 +122,8 @@ function getApiKey(environment) {
 * @see {@link https://developers.google.com/apps-script/reference/properties/properties-service#getuserproperties|PropertiesService.getUserProperties}*/
 
 function getSavedEnvironment() {
-  return PropertiesService.getUserProperties().getProperty('SELECTED_ENVIRONMENT');
+  const profile = profileManager.getActiveProfile();
+  return profile ? profile.environment : null;
 }
 /**
 * ===================== Utility Functions ========================
@@ -125,31 +135,44 @@ function getSavedEnvironment() {
 * that the same logic is applied consistently throughout the codebase.
 * 
 * Functions in this section include:
-* - `makeApiRequest`: Handles GET requests to the API and logs errors.
+* - `makeApiRequest`: Handles GET requests to the API, retries transient errors and raises typed errors.
 */
 
 
 /**
 * Constructs the full API URL based on the endpoint and optional query parameters.
 * Handles both initial and paginated API requests.
+* Placeholders in the endpoint (e.g., 'equity/pies/{id}') are filled from `params`;
+* the remaining params become the query string.
 * 
 * @param {string} endpointOrPath - The API endpoint path (e.g., 'pies') or nextPagePath (e.g., '/api/v0/...').
-* @param {Object} [params={}] - Optional query parameters for the API call.
+* @param {Object} [params={}] - Optional path and query parameters for the API call.
 * @param {boolean} [isNextPage=false] - Flag indicating if it's a paginated request.
+* @param {Object} [profile] - The account profile whose environment is called (defaults to the active profile).
 * @returns {string} The full constructed API URL.
 */
-function constructApiUrl(endpointOrPath, params = {}, isNextPage = false) {
+function constructApiUrl(endpointOrPath, params = {}, isNextPage = false, profile = resolveProfile()) {
+const domain = getApiDomain(profile);
+
 // Handle nextPagePath (pagination) if isNextPage is true
 if (isNextPage) {
-  return `${API_DOMAIN}${endpointOrPath}`;  // Prepend the domain to the relative nextPagePath
+  return `${domain}${endpointOrPath}`;  // Prepend the domain to the relative nextPagePath
 }
 
+// Fill in path parameters, keeping the others for the query string
+const queryParams = Object.assign({}, params);
+const path = endpointOrPath.replace(/\{(\w+)\}/g, (placeholder, name) => {
+  const value = queryParams[name];
+  delete queryParams[name];
+  return encodeURIComponent(value);
+});
+
 // Construct URL for initial API request
-let url = `${API_BASE_URL}${endpointOrPath}`;
+let url = `${domain}${API_VERSION}${path}`;
 
 // Append query parameters if present
-if (Object.keys(params).length > 0) {
-  url += '?' + formatParams(params);
+if (Object.keys(queryParams).length > 0) {
+  url += '?' + formatParams(queryParams);
 }
 
 Logger.log('Constructed URL: ' + url);  // Log the constructed URL for debugging
@@ -189,12 +212,36 @@ Logger.log(`No data found for ticker "${ticker}" in sheet "${sheetName}".`);
 * Makes a rate-limited API request to the provided URL.
 * Handles rate limiting based on the endpoint.
 *
-* @param {string} url - The full API URL to make the GET request to.
+* @param {string} url - The full API URL to make the request to.
+* @param {string} endpoint - The API endpoint path, or rate limit key of the resource (see `getRateLimitKey`).
+* @param {Object} [profile] - The account profile to authenticate as (defaults to the active profile).
+* @param {Object} [request={}] - Optional request details for requests other than GET.
+* @param {string} [request.method='GET'] - The HTTP method.
+* @param {Object} [request.payload] - The body, sent as JSON.
+* @returns {Object} The JSON-parsed response data.
+* @throws {Trading212ApiError} If the request fails (see `makeApiRequest`).
+*/
+function rateLimitedRequest(url, endpoint, profile = resolveProfile(), request = {}) {
+  waitForRateLimit(endpoint, profile);
+
+  Logger.log('Making API request to URL: ' + url);  // Add this log
+  updateProgress(`Fetching data from ${endpoint}`);
+  Logger.log(`Rate-limited request made for: ${url} on endpoint: ${endpoint}`);
+
+  // Proceed with the API request
+  return makeApiRequest(url, { endpoint: endpoint, profile: profile, method: request.method, payload: request.payload });
+}
+
+/**
+* Blocks until the rate limiter allows another request to the given endpoint.
+* The request is logged against the endpoint's budget once it may proceed.
+*
 * @param {string} endpoint - The API endpoint path (used for rate limiting).
-* @returns {Object|null} The JSON-parsed response data if successful, or null if an error occurred.
+* @param {Object} [profile] - The account profile whose budget is used (defaults to the active profile).
+* @throws {Error} If the required wait exceeds the script execution time limits.
 */
-function rateLimitedRequest(url, endpoint) {
-  let rateLimitStatus = canProceedWithRequest(endpoint);
+function waitForRateLimit(endpoint, profile = resolveProfile()) {
+  let rateLimitStatus = canProceedWithRequest(endpoint, profile.apiKey);
 
   // Keep checking until we can proceed
   while (!rateLimitStatus.proceed) {
@@ -214,71 +261,202 @@ function rateLimitedRequest(url, endpoint) {
     updateProgress('Resuming request ...');
 
     // Re-check after sleeping so the request gets logged correctly
-    rateLimitStatus = canProceedWithRequest(endpoint);
+    rateLimitStatus = canProceedWithRequest(endpoint, profile.apiKey);
   }
-
-  Logger.log('Making API request to URL: ' + url);  // Add this log
-  updateProgress(`Fetching data from ${endpoint}`);
-  Logger.log(`Rate-limited request made for: ${url} on endpoint: ${endpoint}`);
-
-  // Proceed with the API request
-  return makeApiRequest(url);
 }
 
 /**
-* Makes a GET request to the provided API URL using the authorization key.
+* Makes a request (GET by default) to the provided API URL using the authorization key.
 * Handles successful responses and errors.
+* The request is sent through the chosen HTTP transport, which may replay recorded
+* responses instead of calling Trading212 (see `getHttpTransport()`).
+*
+* Transient failures (network errors, timeouts, rate limits and server errors) are retried
+* with exponential backoff and jitter, honouring `Retry-After` and the Trading212
+* `x-ratelimit-*` headers. When an endpoint is given, every retry waits for the rate
+* limiter first so it counts against the endpoint's budget.
+* Requests that change data (any method other than GET) are only retried after a rate
+* limit response, because the server may have processed a request that failed otherwise.
 *
-* @param {string} url - The full API URL to make the GET request to.
-* @returns {Object|null} The JSON-parsed response data if successful, or null if an error occurred.
+* @param {string} url - The full API URL to make the request to.
+* @param {Object} [options={}] - Request options.
+* @param {string} [options.endpoint] - The API endpoint path (used for rate limiting retries and error details).
+* @param {Object} [options.profile] - The account profile to authenticate as (defaults to the active profile).
+* @param {string} [options.method='GET'] - The HTTP method.
+* @param {Object} [options.payload] - The request body, sent as JSON.
+* @returns {Object} The JSON-parsed response data.
+* @throws {Trading212ApiError} A typed error if the request fails, or if a transient error
+*   persists after `RETRY_POLICY.maxAttempts` attempts.
 */
-function makeApiRequest(url) {
-var authKey = getAuthKey();
+function makeApiRequest(url, options = {}) {
+const endpoint = options.endpoint || '';
+const profile = resolveProfile(options.profile);
+var authKey = getAuthKey(profile);
 if (!authKey) {
-  Logger.log('Cannot make API request without an API Key.');
-  return null;
+  throw new AuthenticationError('No API key is saved. Use "Trading212 Portfolio > Setup" to enter your API key.', { endpoint: endpoint });
 }
 
-var options = {
-  method: 'GET',
+const method = options.method || 'GET';
+var requestOptions = {
+  method: method.toLowerCase(),
   headers: {
     Authorization: authKey,
   },
   muteHttpExceptions: true,
 };
 
-try {
-  Logger.log('Making API request to URL: ' + url);
+if (options.payload !== undefined) {
+  requestOptions.contentType = 'application/json';
+  requestOptions.payload = JSON.stringify(options.payload);
+}
+
+let lastError = null;
+
+for (let attempt = 1; attempt <= RETRY_POLICY.maxAttempts; attempt++) {
+  // Retries count against the same rate limit budget as the original request
+  if (attempt > 1 && endpoint) {
+    waitForRateLimit(endpoint, profile);
+  }
+
+  let response;
+  try {
+    Logger.log(`Making ${method} request to URL (attempt ${attempt}): ${url}`);
+    response = getHttpTransport().fetch(url, requestOptions);
+  } catch (error) {
+    // Network level failure (DNS, connection reset, UrlFetch timeout) - always transient
+    Logger.log('An error occurred: ' + error.message);
+    lastError = new NetworkError(`Could not reach Trading212 (${error.message}).`, { endpoint: endpoint });
+    if (method !== 'GET') {
+      throw lastError;
+    }
+    if (attempt < RETRY_POLICY.maxAttempts) {
+      sleepBeforeRetry(getBackoffDelay(attempt), attempt, lastError.name);
+    }
+    continue;
+  }
 
-  var response = UrlFetchApp.fetch(url, options);
   var statusCode = response.getResponseCode();
 
   if (statusCode === 200) {
-    // Successful response
-    var jsonData = JSON.parse(response.getContentText());
-    Logger.log('API Data: ' + JSON.stringify(jsonData, null, 2));
-    return jsonData;
-  } else {
-    // Handle errors
-    return handleApiError(response);
+    // Successful response (some requests that change data return an empty body)
+    try {
+      var content = response.getContentText();
+      var jsonData = content ? JSON.parse(content) : {};
+      Logger.log('API Data: ' + JSON.stringify(jsonData, null, 2));
+      return jsonData;
+    } catch (error) {
+      Logger.log('An error occurred: ' + error.message);
+      throw new Trading212ApiError(`Trading212 returned a response that could not be read (${error.message}).`, {
+        status: statusCode, endpoint: endpoint, body: response.getContentText()
+      });
+    }
+  }
+
+  // Handle errors: non-transient ones are raised straight away
+  try {
+    handleApiError(response, endpoint);
+  } catch (error) {
+    if (!error.retryable || (method !== 'GET' && !(error instanceof RateLimitError))) {
+      throw error;
+    }
+    lastError = error;
   }
 
-} catch (error) {
-  Logger.log('An error occurred: ' + error.message);
-  return null;
+  // Back off before the next attempt
+  if (attempt < RETRY_POLICY.maxAttempts) {
+    sleepBeforeRetry(getRetryDelay(response, attempt), attempt, `HTTP ${statusCode}`);
+  }
 }
+
+lastError.message = `${lastError.message} (gave up after ${RETRY_POLICY.maxAttempts} attempts)`;
+throw lastError;
+}
+
+/**
+* Determines how long to wait before retrying a failed response.
+* Prefers the server's guidance (`Retry-After`, then `x-ratelimit-reset` once the
+* Trading212 budget is exhausted) and falls back to exponential backoff.
+*
+* @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response - The failed HTTP response.
+* @param {number} attempt - The number of the attempt that just failed (1-based).
+* @returns {number} The wait time in milliseconds, capped at `RETRY_POLICY.maxDelayMs`.
+*/
+function getRetryDelay(response, attempt) {
+  const now = Date.now();
+  let serverDelay = null;
+
+  // Retry-After is either a number of seconds or an HTTP date
+  const retryAfter = getResponseHeader(response, 'Retry-After');
+  if (retryAfter) {
+    serverDelay = /^\d+$/.test(retryAfter)
+      ? Number(retryAfter) * SECOND
+      : new Date(retryAfter).getTime() - now;
+  }
+
+  // Trading212 reports the Unix time (in seconds) at which the rate limit window resets
+  const remaining = getResponseHeader(response, 'x-ratelimit-remaining');
+  const reset = getResponseHeader(response, 'x-ratelimit-reset');
+  if (serverDelay === null && reset && Number(remaining) === 0) {
+    serverDelay = Number(reset) * SECOND - now;
+  }
+
+  if (serverDelay !== null && !isNaN(serverDelay) && serverDelay > 0) {
+    return Math.min(serverDelay, RETRY_POLICY.maxDelayMs);
+  }
+
+  return getBackoffDelay(attempt);
+}
+
+/**
+* Calculates an exponential backoff delay with jitter.
+* The delay doubles with every attempt and a random share of up to half of it
+* is removed so concurrent executions do not retry in lockstep.
+*
+* @param {number} attempt - The number of the attempt that just failed (1-based).
+* @returns {number} The wait time in milliseconds, capped at `RETRY_POLICY.maxDelayMs`.
+*/
+function getBackoffDelay(attempt) {
+  const exponentialDelay = Math.min(RETRY_POLICY.baseDelayMs * Math.pow(2, attempt - 1), RETRY_POLICY.maxDelayMs);
+  return Math.round(exponentialDelay / 2 + Math.random() * exponentialDelay / 2);
+}
+
+/**
+* Waits before the next retry and keeps the UI informed.
+*
+* @param {number} delay - The wait time in milliseconds.
+* @param {number} attempt - The number of the attempt that just failed (1-based).
+* @param {string} reason - A short description of the failure.
+*/
+function sleepBeforeRetry(delay, attempt, reason) {
+  Logger.log(`Attempt ${attempt} failed (${reason}). Retrying in ${delay} ms.`);
+  updateProgress(`Request failed (${reason}). Retrying in ${Math.ceil(delay / 1000)} seconds ...`);
+  Utilities.sleep(delay);
+}
+
+/**
+* Reads a response header regardless of the casing used by the server.
+*
+* @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response - The HTTP response.
+* @param {string} name - The header name.
+* @returns {string|null} The header value, or null if it is not present.
+*/
+function getResponseHeader(response, name) {
+  const headers = response.getHeaders();
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+  return match ? String(headers[match]) : null;
 }
 
 /**
-* Retrieves the stored API key from User Properties.
+* Retrieves the API key of an account profile.
 * If the API key is not set, logs an error message.
 *
+* @param {Object} [profile] - The account profile (defaults to the active profile).
 * @returns {string|null} The stored API key, or null if not available.
 */
-function getAuthKey() {
-  var apiKey = PropertiesService.getUserProperties().getProperty('API_KEY');
+function getAuthKey(profile = profileManager.getActiveProfile()) {
+  var apiKey = profile ? profile.apiKey : null;
   if (!apiKey) {
-    Logger.log('API Key is not set. Please use the "Trading212 > Set API Key" menu to enter your API key.');
+    Logger.log('API Key is not set. Please use the "Trading212 Portfolio > Setup" menu to enter your API key.');
     // Optionally, you could throw an error or notify the user through other means
   }
   return apiKey;
@@ -8,12 +8,19 @@
  * The constants include:
  * - `API_DOMAIN_LIVE`: The domain for calling the live Trading212 API.
  * - `API_DOMAIN_DEMO`: The domain for calling the demo Trading212 API.
- * - `API_DOMAIN`: The domain for calling the Trading212 API, used to construct final URLs.
+ * - `API_DOMAINS`: Maps an environment ('demo' or 'live') to its domain. The domain is chosen
+ *   per call from the account profile, see `getApiDomain()`.
  * - `API_VERSION`: The API version used. Used to construct the base URL.
- * - `API_BASE_URL`: The concatenation of API_DOMAIN and API_VERSION used to construct various endpoint URLs.
+ * - `ACCOUNT_TYPES`: The Trading212 account types a profile can represent.
  * - `SHEET_NAMES`: An object that maps to the names of the Google Sheets where data will be written.
  * - `API_ENDPOINT`: An object mapping logical names to API endpoint paths.
  * - `RATE_LIMITS`: An object defining rate limits for each API endpoint.
+ * - `RETRY_POLICY`: How transient API failures (timeouts, rate limits, server errors) are retried.
+ * - `EXECUTION_STARTED_AT`: When the current script execution started.
+ * - `EXECUTION_TIME_BUDGET_MS`: How long a fetch may run before it checkpoints and resumes later.
+ * - `EXPORT_DEFAULT_TIME_FROM`: Start of the range requested by a history export when none is given.
+ * - `SHEET_WRITE_BUFFER_ROWS` and `SHEET_WRITE_BLOCK_ROWS`: How many rows are buffered and written at once.
+ * - `PROGRESS_THROTTLE_MS`: The minimum time between two frequent progress updates.
  */
 
 // Constants for managing API base URL and versioning
@@ -21,19 +28,47 @@ const API_DOMAIN_LIVE = 'https://live.trading212.com';
 const API_DOMAIN_DEMO = 'https://demo.trading212.com';
 const API_VERSION = '/api/v0/';  // Keep versioning separate to allow easier upgrades
 
-// Determine the API domain based on the saved environment setting
-const userProperties = PropertiesService.getUserProperties();
-const selectedEnvironment = userProperties.getProperty('SELECTED_ENVIRONMENT') || 'demo';
-const API_DOMAIN = selectedEnvironment === 'live' ? API_DOMAIN_LIVE : API_DOMAIN_DEMO;
+// The environment, and therefore the domain, belongs to each account profile
+const API_DOMAINS = {
+  demo: API_DOMAIN_DEMO,
+  live: API_DOMAIN_LIVE
+};
 
-// Combine for initial API requests, but not for pagination (already includes API_VERSION)
-const API_BASE_URL = `${API_DOMAIN}${API_VERSION}`;
+// Account types a profile can represent (ISA accounts are excluded from tax reports)
+const ACCOUNT_TYPES = {
+  INVEST: 'INVEST',
+  ISA: 'ISA'
+};
 
 // Simplify writing time related values
 const SECOND = 1000;         // 1000 milliseconds in a second
 const MINUTE = 60 * SECOND;  // 60 seconds in a minute
 const HOUR = 60 * MINUTE;    // 60 minutes in an hour
 
+// Retry policy for transient API failures (see makeApiRequest)
+const RETRY_POLICY = {
+  maxAttempts: 5,           // Total attempts including the first request
+  baseDelayMs: 2 * SECOND,  // Backoff delay before the first retry
+  maxDelayMs: 1 * MINUTE    // Upper bound for any single wait
+};
+
+// Top-level code runs once per execution, so this marks the start of the current one
+const EXECUTION_STARTED_AT = Date.now();
+
+// Fetch jobs pause well before the 6 minute Apps Script execution limit and continue in a follow-up execution
+const EXECUTION_TIME_BUDGET_MS = 4 * MINUTE;
+const RESUME_DELAY_MS = 1 * MINUTE;
+
+// History exports cover everything since this date unless a range is given (see fetchStatements)
+const EXPORT_DEFAULT_TIME_FROM = '2016-01-01T00:00:00Z';
+
+// Rows are buffered across pages and written in large blocks (see SheetWriter)
+const SHEET_WRITE_BUFFER_ROWS = 2000;  // Buffered rows that trigger a write (and a checkpoint)
+const SHEET_WRITE_BLOCK_ROWS = 5000;   // Largest block written by one setValues call
+
+// Frequent progress messages (e.g. per page or block) are stored at most this often
+const PROGRESS_THROTTLE_MS = 2 * SECOND;
+
 
 /**
  * ========================= API Resources ============================
@@ -42,9 +77,17 @@ const HOUR = 60 * MINUTE;    // 60 minutes in an hour
  * API endpoint, Google Sheet name, and rate limit configuration.
  * 
  * Each resource includes:
- * - `endpoint`: The API endpoint for the Trading212 resource (e.g., 'equity/pies').
+ * - `endpoint`: The API endpoint for the Trading212 resource (e.g., 'equity/pies'). Path
+ *   parameters are written as placeholders (e.g., 'equity/pies/{id}') and filled by `constructApiUrl()`.
  * - `sheetName`: The corresponding Google Sheet where the data will be written.
  * - `rateLimit`: An object specifying the rate limit and time window for the API.
+ * - `scope`: The API key permission required by the endpoint (reported when it is missing).
+ * - `sync` (optional): The fields used to remember the newest stored record so that
+ *   history resources can be fetched incrementally (`idField` and `dateField`).
+ * - `primaryKey` (optional): The field identifying an item, e.g. to link the child rows of
+ *   nested arrays to their parent row (see `normalizeNestedArrays()`).
+ * - `method` (optional): The HTTP method when it is not GET. Each method of an endpoint
+ *   has its own rate limit (see `getRateLimitKey()`).
  */
 
 // Centralized constants to manage API endpoints, sheet names, and rate limits
@@ -52,47 +95,154 @@ const API_RESOURCES = {
   PIES: {
     endpoint: 'equity/pies',
     sheetName: '🥧Pies',
+    primaryKey: 'id',
+    scope: 'pies:read',
     rateLimit: { limit: 1, windowMs: 30 * SECOND } 
   },
   PIE: {
-    endpoint: 'equity/pies/2616371',
+    endpoint: 'equity/pies/{id}',  // The rate limit applies to the template, i.e. to all pies together
     sheetName: 'Pie Details',
+    scope: 'pies:read',
+    rateLimit: { limit: 1, windowMs: 5 * SECOND }
+  },
+  PIE_CREATE: {
+    endpoint: 'equity/pies',
+    method: 'POST',
+    sheetName: 'Pie Definitions',
+    scope: 'pies:write',
+    rateLimit: { limit: 1, windowMs: 5 * SECOND }
+  },
+  PIE_UPDATE: {
+    endpoint: 'equity/pies/{id}',
+    method: 'POST',
+    sheetName: 'Pie Definitions',
+    scope: 'pies:write',
+    rateLimit: { limit: 1, windowMs: 5 * SECOND }
+  },
+  PIE_DELETE: {
+    endpoint: 'equity/pies/{id}',
+    method: 'DELETE',
+    sheetName: 'Pie Definitions',
+    scope: 'pies:write',
     rateLimit: { limit: 1, windowMs: 5 * SECOND }
   },
   INSTRUMENTS_LIST: {
     endpoint: 'equity/metadata/instruments',
     sheetName: 'InstrumentsList',
+    primaryKey: 'ticker',
+    scope: 'metadata',
     rateLimit: { limit: 1, windowMs: 50 * SECOND }
   },
+  PORTFOLIO: {
+    endpoint: 'equity/portfolio',
+    sheetName: 'Portfolio',
+    primaryKey: 'ticker',
+    scope: 'portfolio',
+    rateLimit: { limit: 1, windowMs: 5 * SECOND }
+  },
+  POSITION: {
+    endpoint: 'equity/portfolio/{ticker}',
+    sheetName: 'Portfolio',
+    scope: 'portfolio',
+    rateLimit: { limit: 1, windowMs: 1 * SECOND }
+  },
+  PENDING_ORDERS: {
+    endpoint: 'equity/orders',
+    sheetName: 'Pending Orders',
+    primaryKey: 'id',
+    scope: 'orders:read',
+    rateLimit: { limit: 1, windowMs: 5 * SECOND }
+  },
   ACCOUNT_CASH: {
     endpoint: 'equity/account/cash',
     sheetName: 'Cash',
+    scope: 'account',
     rateLimit: { limit: 6, windowMs: 1 * SECOND }
   },
   ACCOUNT_INFO: {
     endpoint: 'equity/account/info',
     sheetName: 'AccountInfo',
+    scope: 'account',
     rateLimit: { limit: 6, windowMs: 30 * SECOND }
   },
   TRANSACTIONS: {
     endpoint: 'history/transactions',
     sheetName: '212Transactions',
-    rateLimit: { limit: 6, windowMs: 1 * MINUTE }
+    primaryKey: 'reference',
+    scope: 'history:transactions',
+    rateLimit: { limit: 6, windowMs: 1 * MINUTE },
+    sync: { idField: 'reference', dateField: 'dateTime' }
     // TO DO: Fix 500 error when hitting end of list, i.e. when fetching more items than is remaining
   },
   ORDER_HISTORY: {
     endpoint: 'equity/history/orders',
     sheetName: 'History',
-    rateLimit: { limit: 6, windowMs: 1 * MINUTE }
+    primaryKey: 'id',
+    scope: 'history:orders',
+    rateLimit: { limit: 6, windowMs: 1 * MINUTE },
+    sync: { idField: 'id', dateField: 'dateCreated' }
   },
   DIVIDENDS: {
     endpoint: 'history/dividends',
     sheetName: 'Dividends',
-    rateLimit: { limit: 6, windowMs: 1 * MINUTE }
+    primaryKey: 'reference',
+    scope: 'history:dividends',
+    rateLimit: { limit: 6, windowMs: 1 * MINUTE },
+    sync: { idField: 'reference', dateField: 'paidOn' }
+  },
+  HISTORY_EXPORT_REQUEST: {
+    endpoint: 'history/exports',
+    method: 'POST',
+    sheetName: 'Statements',
+    scope: 'history',
+    rateLimit: { limit: 1, windowMs: 30 * SECOND }
+  },
+  HISTORY_EXPORTS: {
+    endpoint: 'history/exports',
+    sheetName: 'Statements',
+    scope: 'history',
+    rateLimit: { limit: 1, windowMs: 1 * MINUTE }
+  },
+  ORDER_MARKET: {
+    endpoint: 'equity/orders/market',
+    method: 'POST',
+    sheetName: 'Order Tickets',
+    scope: 'orders:execute',
+    rateLimit: { limit: 50, windowMs: 1 * MINUTE }
+  },
+  ORDER_LIMIT: {
+    endpoint: 'equity/orders/limit',
+    method: 'POST',
+    sheetName: 'Order Tickets',
+    scope: 'orders:execute',
+    rateLimit: { limit: 1, windowMs: 2 * SECOND }
+  },
+  ORDER_STOP: {
+    endpoint: 'equity/orders/stop',
+    method: 'POST',
+    sheetName: 'Order Tickets',
+    scope: 'orders:execute',
+    rateLimit: { limit: 1, windowMs: 2 * SECOND }
+  },
+  ORDER_STOP_LIMIT: {
+    endpoint: 'equity/orders/stop_limit',
+    method: 'POST',
+    sheetName: 'Order Tickets',
+    scope: 'orders:execute',
+    rateLimit: { limit: 1, windowMs: 2 * SECOND }
+  },
+  ORDER_CANCEL: {
+    endpoint: 'equity/orders/{id}',
+    method: 'DELETE',
+    sheetName: 'Order Tickets',
+    scope: 'orders:execute',
+    rateLimit: { limit: 50, windowMs: 1 * MINUTE }
   },
   EXCHANGE_LIST: {
     endpoint: 'equity/metadata/exchanges',
     sheetName: 'ExchangeList',
+    primaryKey: 'id',
+    scope: 'metadata',
     rateLimit: { limit: 1, windowMs: 30 * SECOND }
   }
 };
\ No newline at end of file
@@ -11,122 +11,677 @@
  * 
  * The key fetch functions in this section include:
  * - `fetchPies()`
+ * - `fetchPie()` and `fetchAllPieDetails()`
  * - `fetchInstrumentsList()`
  * - `fetchAccountCash()`
+ * - `fetchPortfolio()` and `fetchPendingOrders()`
  * - `fetchAccountInfo()`
  * - `fetchTransactions()`
  * - `fetchOrderHistory()`
+ *
+ * Fetches that approach the execution time limit are checkpointed and resumed by
+ * `resumeFetchJobs()` in a follow-up execution.
+ */
+
+/**
+ * The outcome of a fetch, returned to callers such as the fetch dialog.
+ *
+ * @typedef {Object} FetchResult
+ * @property {string} status - 'completed', 'paused' (continues in a follow-up execution) or 'failed'.
+ * @property {string} sheetName - The sheet the data was written to.
+ * @property {number} rowsWritten - The number of rows written so far.
+ * @property {Object} [error] - The serialized error (see `serializeError`) when the status is 'failed'.
  */
 
 /**
  * Fetches data from a Trading212 API endpoint and writes it to a specified Google Sheet.
  * Automatically handles pagination if `nextPagePath` is present in the API response.
  * Utilizes rate limiting to comply with API request limits.
+ * Long fetches are checkpointed and continue in a follow-up execution (see `runFetchJob`).
  *
  * @param {string} endpoint - The API endpoint path (e.g., 'equity/pies').
  * @param {string} sheetName - The name of the Google Sheet where data will be written.
  * @param {Object} [params={}] - Optional query parameters for the API call (e.g., { limit: 50 }).
  * @param {number} [startRow=2] - The row number to start writing data (default is 2).
- * @returns {void}
+ * @param {Object} [sync=null] - Optional sync context used by `syncDataToSheet()` for incremental fetches.
+ * @param {Object} [profile] - The account profile to fetch for (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the fetch job.
  */
-function fetchDataAndWriteToSheet(endpoint, sheetName, params = {}, startRow = 2) {
-  // Construct the initial API URL
-  let url = constructApiUrl(endpoint, params);
+function fetchDataAndWriteToSheet(endpoint, sheetName, params = {}, startRow = 2, sync = null, profile = resolveProfile()) {
+  const deadline = EXECUTION_STARTED_AT + EXECUTION_TIME_BUDGET_MS;
 
   // Inform UI which sheet is being fetched
   updateProgress(`Fetching data for ${sheetName} ...`);
 
-  // Start fetching data
-  fetchAndHandleData(url, sheetName, startRow, endpoint);
+  // A new fetch for the same sheet replaces any paused job for it
+  const job = {
+    id: sheetName,
+    sheetName: sheetName,
+    endpoint: endpoint,
+    resourceKey: getResourceKeyForEndpoint(endpoint),
+    profileName: profile.name,
+    nextUrl: constructApiUrl(endpoint, params, false, profile),
+    startRow: startRow,
+    nextRow: startRow,
+    pages: 0,
+    sync: sync,
+    // Only a complete, unfiltered download shows which records no longer exist
+    flagVanished: startRow === 2 && !params.ticker,
+    startedAt: new Date().toISOString()
+  };
 
-  // Format sheet when done
-  formatSheet(sheetName);
+  // Responses recorded while the job runs are saved once it ends or pauses
+  holdRecordedResponses();
+  try {
+    return runFetchJob(job, deadline);
+  } finally {
+    releaseRecordedResponses();
+  }
 }
 
 /**
- * Fetches a page of data, writes it to the sheet, and handles pagination recursively.
+ * Runs a fetch job page by page until it is complete or the execution time budget is used up.
+ * Rows are buffered across pages and written in blocks of about SHEET_WRITE_BUFFER_ROWS rows;
+ * the job's cursor and target row are checkpointed after each block, so a checkpoint never
+ * points past the rows actually on the sheet. When the budget runs out (or the next rate
+ * limit wait would exceed it) the buffered rows are written, the job is paused and a
+ * follow-up execution is scheduled to continue it.
+ * Resources with a primary key are merged into the existing rows (see `SheetMergeWriter`);
+ * when the job downloads the whole resource, rows it did not return are flagged at the end.
+ * When the job has a sync context, records that were stored by a previous run are skipped
+ * and paging stops as soon as the first of them is reached.
  *
- * @param {string} url - The URL to fetch data from.
- * @param {string} sheetName - The name of the Google Sheet where data will be written.
- * @param {number} currentRow - The current row number to start writing data.
- * @param {string} endpoint - The API endpoint to use for rate limiting.
+ * @param {Object} job - The fetch job (see `fetchDataAndWriteToSheet`).
+ * @param {number} deadline - Timestamp (ms) after which no further page may be started.
+ * @returns {FetchResult} The outcome, with status 'completed', 'paused' or 'failed'.
  */
-function fetchAndHandleData(url, sheetName, currentRow, endpoint) {
-  // Make the API request with rate limiting
-  let data = rateLimitedRequest(url, endpoint);
+function runFetchJob(job, deadline) {
+  const sync = job.sync;
+  const profile = resolveProfile(job.profileName);
+  const sheet = getOrCreateSheet(job.sheetName);
+  const writer = getMergeKey(job.resourceKey)
+    ? new SheetMergeWriter(sheet, job.resourceKey, new Date(job.startedAt))
+    : new SheetWriter(sheet, job.nextRow);
 
-  if (data) {
-    // Write the data and calculate the next row to write
-    const rowsWritten = writeDataToSheet(data.items || data, sheetName, currentRow);
+  while (job.nextUrl) {
+    const pause = getPauseDelay(job.endpoint, deadline, profile);
+    if (pause !== null) {
+      writer.flush();
+      return pauseFetchJob(job, pause);
+    }
 
-    // Inform UI about progress of written rows
-    updateProgress(`Fetched rows up to ${currentRow + rowsWritten - 1}`);
+    // Make the API request with rate limiting
+    let data;
+    try {
+      data = rateLimitedRequest(job.nextUrl, job.endpoint, profile);
+    } catch (error) {
+      // Keep the pages fetched so far
+      writer.flush();
+      fetchJobManager.deleteJob(job.id);
+      throw error;
+    }
 
-    // If there is more data (pagination), fetch the next page
-    if (data.nextPagePath) {
-      Logger.log('Fetching next page of data...: ' + data.nextPagePath);
+    if (!data) {
+      Logger.log(`Error fetching data for ${job.sheetName}.`);
+      writer.flush();
+      fetchJobManager.deleteJob(job.id);
+      return {
+        status: 'failed',
+        sheetName: job.sheetName,
+        rowsWritten: job.nextRow - job.startRow,
+        error: serializeError(new Trading212ApiError(`Trading212 returned no data for ${job.endpoint}.`, { endpoint: job.endpoint }))
+      };
+    }
+
+    let items = data.items || data;
+    let reachedSyncedData = false;
+
+    if (sync && Array.isArray(items)) {
+      // The API returns the newest records first, so the first item seen is the new sync marker
+      if (!sync.newest && items.length > 0) {
+        sync.newest = getSyncMarker(items[0], sync.fields);
+      }
+
+      // Drop everything from the first record that is already in the sheet
+      if (sync.lastSynced) {
+        const syncedIndex = items.findIndex(item => isAlreadySynced(item, sync.fields, sync.lastSynced));
+        if (syncedIndex !== -1) {
+          items = items.slice(0, syncedIndex);
+          reachedSyncedData = true;
+        }
+      }
+    }
 
-      // Notify the UI that we are fetching another page
-      updateProgress('Fetching additional data ...');
+    // Buffer the rows and calculate the next row to write
+    const rowsWritten = writeDataToSheet(items, job.sheetName, job.nextRow, job.resourceKey, writer);
+    job.nextRow += rowsWritten;
+    job.pages++;
 
-      // Construct the next page URL
-      const nextPageUrl = constructApiUrl(data.nextPagePath, {}, true);
+    // Inform UI about progress of fetched rows
+    updateProgressThrottled(`Fetched ${job.nextRow - job.startRow} rows for ${job.sheetName} ...`);
 
-      // Recursively fetch the next page
-      fetchAndHandleData(nextPageUrl, sheetName, currentRow + rowsWritten, endpoint);
+    // If there is more data (pagination), continue with the next page
+    if (data.nextPagePath && !reachedSyncedData) {
+      Logger.log('Fetching next page of data...: ' + data.nextPagePath);
+      job.nextUrl = constructApiUrl(data.nextPagePath, {}, true, profile);
+
+      // Write a full buffer and checkpoint so a follow-up execution can continue from here
+      if (writer.pendingRows >= SHEET_WRITE_BUFFER_ROWS) {
+        writer.flush();
+        fetchJobManager.saveJob(job);
+      }
     } else {
       Logger.log('No more data to fetch.');
+      job.nextUrl = null;
+    }
+  }
+
+  if (writer instanceof SheetMergeWriter && job.flagVanished) {
+    writer.flagVanished();
+  }
+  writer.flush();
+  return completeFetchJob(job);
+}
+
+/**
+ * Decides whether a job must pause before its next page.
+ *
+ * @param {string} endpoint - The API endpoint used for rate limiting.
+ * @param {number} deadline - Timestamp (ms) after which no further page may be started.
+ * @param {Object} profile - The account profile whose rate limit budget is used.
+ * @returns {number|null} The delay before resuming in ms, or null if the job may continue.
+ */
+function getPauseDelay(endpoint, deadline, profile) {
+  const timeLeft = deadline - Date.now();
+  if (timeLeft <= 0) {
+    return RESUME_DELAY_MS;
+  }
+
+  // Waiting for the rate limit window must not run into the execution limit
+  const budget = rateLimiter.getBudget(endpoint, profile.apiKey);
+  if (budget && budget.remaining === 0 && budget.resetInMs >= timeLeft) {
+    return Math.max(budget.resetInMs, RESUME_DELAY_MS);
+  }
+
+  return null;
+}
+
+/**
+ * Checkpoints a job and schedules a follow-up execution to resume it.
+ *
+ * @param {Object} job - The fetch job.
+ * @param {number} delayMs - The delay before resuming.
+ * @returns {FetchResult} The 'paused' outcome.
+ */
+function pauseFetchJob(job, delayMs) {
+  fetchJobManager.saveJob(job);
+  fetchJobManager.scheduleResume(delayMs);
+
+  const message = `Paused ${job.sheetName} after ${job.nextRow - job.startRow} rows; ` +
+    `it will resume automatically in about ${Math.ceil(delayMs / MINUTE)} minute(s).`;
+  Logger.log(message);
+  updateProgress(message);
+
+  return { status: 'paused', sheetName: job.sheetName, rowsWritten: job.nextRow - job.startRow };
+}
+
+/**
+ * Finishes a job: stores the sync marker, formats the sheet and removes the checkpoint.
+ *
+ * @param {Object} job - The fetch job.
+ * @returns {FetchResult} The 'completed' outcome.
+ */
+function completeFetchJob(job) {
+  // Remember the newest record only once every page has been written
+  if (job.sync && job.sync.newest) {
+    syncStateManager.setState(job.sync.stateKey, job.sync.newest);
+  }
+
+  // Format sheet when done
+  formatSheet(job.sheetName);
+  fetchJobManager.deleteJob(job.id);
+
+  const rowsWritten = job.nextRow - job.startRow;
+  updateProgress(`Completed ${job.sheetName}: ${rowsWritten} rows written.`);
+
+  return { status: 'completed', sheetName: job.sheetName, rowsWritten: rowsWritten };
+}
+
+/**
+ * Continues all paused fetch jobs. Runs from the one-off time-driven trigger
+ * scheduled by `pauseFetchJob`, `pauseExportJob` or `pausePieDetailsJob`; jobs that run out of
+ * time again are re-scheduled.
+ *
+ * @returns {void}
+ */
+function resumeFetchJobs() {
+  fetchJobManager.clearResumeTriggers();
+  const deadline = EXECUTION_STARTED_AT + EXECUTION_TIME_BUDGET_MS;
+
+  // Responses recorded while the jobs run are saved once they end or pause
+  holdRecordedResponses();
+  try {
+    for (const job of fetchJobManager.getJobs()) {
+      if (job.type === 'export') {
+        updateProgress(`Resumed ${job.sheetName} (history export ${job.reportId}) ...`);
+      } else if (job.type === 'pies') {
+        updateProgress(`Resumed ${job.sheetName} with ${job.pieIds.length} of ${job.pieCount} pies left ...`);
+      } else {
+        updateProgress(`Resumed ${job.sheetName} from row ${job.nextRow} ...`);
+      }
+      Logger.log(`Resuming fetch job ${job.id} at ${job.nextUrl || job.reportId || `pie ${job.pieIds[0]}`}`);
+
+      let result;
+      try {
+        // History exports poll for a report and pie details request one pie at a time
+        // instead of paging through an endpoint
+        if (job.type === 'export') {
+          result = runExportJob(job, deadline);
+        } else if (job.type === 'pies') {
+          result = runPieDetailsJob(job, deadline);
+        } else {
+          result = runFetchJob(job, deadline);
+        }
+      } catch (error) {
+        // A failed job is discarded by its runner; carry on with the others
+        Logger.log(`Resumed fetch job ${job.id} failed: ${error.message}`);
+        updateProgress(`Failed to resume ${job.sheetName}: ${error.message}`);
+        continue;
+      }
+
+      // Leave the remaining jobs for the follow-up execution scheduled by the paused one
+      if (result.status === 'paused') {
+        break;
+      }
     }
+  } finally {
+    releaseRecordedResponses();
+  }
+}
+
+/**
+ * Fetches a history resource incrementally: only records newer than the newest record
+ * already stored are downloaded and appended below the existing rows.
+ * Falls back to a full download (refreshing every row) when no sync state exists, the sheet
+ * is empty, a ticker filter is used, or a full resync is requested.
+ *
+ * The rows of a history sheet are therefore not in date order: a full download writes the
+ * newest records first, while each incremental sync adds its newer records at the bottom (as
+ * the merge writer does for new keys, see `SheetMergeWriter`). Nothing reading these sheets
+ * relies on the row order; sort by the date column to read them in order.
+ *
+ * @example
+ * syncDataToSheet('TRANSACTIONS', { limit: 50 });                       // Incremental
+ * syncDataToSheet('TRANSACTIONS', { limit: 50 }, { fullResync: true }); // Full resync
+ *
+ * @param {string} resourceKey - The key of the resource in API_RESOURCES (must define `sync`).
+ * @param {Object} [params={}] - Query parameters for the API call.
+ * @param {Object} [options={}] - Sync options.
+ * @param {boolean} [options.fullResync=false] - Re-download the whole history and refresh every row.
+ * @param {string|Object} [options.profile] - The account profile to fetch for (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the fetch job.
+ */
+function syncDataToSheet(resourceKey, params = {}, options = {}) {
+  const resource = API_RESOURCES[resourceKey];
+  const profile = resolveProfile(options.profile);
+  const sheetName = getProfileSheetName(resource.sheetName, profile);
+
+  // A filtered fetch does not represent the whole history, so it must not move the sync marker
+  if (params.ticker) {
+    return fetchDataAndWriteToSheet(resource.endpoint, sheetName, params, 2, null, profile);
+  }
+
+  // Every profile keeps its own sync marker, next to its own sheet
+  const stateKey = `${profile.name}_${resourceKey}`;
+  const sheet = getOrCreateSheet(sheetName);
+  const lastSynced = options.fullResync ? null : syncStateManager.getState(stateKey);
+  const incremental = Boolean(lastSynced) && sheet.getLastRow() > 1;
+
+  if (incremental) {
+    Logger.log(`Incremental sync for ${stateKey} since ${lastSynced.date} (${lastSynced.id}).`);
   } else {
-    Logger.log(`Error fetching data for ${sheetName}.`);
+    Logger.log(`Full sync for ${stateKey}.`);
   }
+
+  const sync = {
+    resourceKey: resourceKey,
+    stateKey: stateKey,
+    fields: resource.sync,
+    lastSynced: incremental ? lastSynced : null,
+    newest: null
+  };
+  const startRow = incremental ? sheet.getLastRow() + 1 : 2;
+
+  return fetchDataAndWriteToSheet(resource.endpoint, sheetName, params, startRow, sync, profile);
+}
+
+/**
+ * Fetches a resource from the Trading212 API into the sheet of the given profile.
+ *
+ * @param {string} resourceKey - The key of the resource in API_RESOURCES.
+ * @param {Object} [queryParams={}] - Query parameters for the API call.
+ * @param {string|Object} [profile] - The account profile to fetch for (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the fetch job.
+ */
+function fetchResourceToSheet(resourceKey, queryParams = {}, profile) {
+  const resource = API_RESOURCES[resourceKey];
+  const resolvedProfile = resolveProfile(profile);
+  const sheetName = getProfileSheetName(resource.sheetName, resolvedProfile);
+
+  return fetchDataAndWriteToSheet(resource.endpoint, sheetName, queryParams, 2, null, resolvedProfile);
 }
 
 /**
  * Fetches the "pies" data from the Trading212 API and writes it to the "Pies" sheet.
  * 
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string} [params.profile] - The account profile to fetch for (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the fetch.
+ */
+function fetchPies(params = {}) {
+  return fetchResourceToSheet('PIES', {}, params.profile);
+}
+
+/**
+ * Fetches the details of a single pie from the Trading212 API and writes its settings and
+ * instrument allocations to the "Pie Details" sheet. Rows of other pies already on the sheet
+ * are kept; rows of the same pie are replaced.
+ *
+ * @example
+ * fetchPie({ id: 2616371 });
+ *
+ * @param {Object} params - The parameters for the request.
+ * @param {number|string} params.id - The ID of the pie to fetch, required (int64).
+ * @param {string} [params.profile] - The account profile to fetch for (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the fetch.
+ * @throws {ValidationError} Throws an error if the ID is not provided or is invalid.
+ */
+function fetchPie(params = {}) {
+  // Validate the ID parameter (the dialog and menu pass it as text)
+  const id = Number(params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ValidationError(`Invalid or missing pie ID "${params.id}". The ID must be a positive whole number.`);
+  }
+
+  const profile = resolveProfile(params.profile);
+  const sheetName = getProfileSheetName(API_RESOURCES.PIE.sheetName, profile);
+  updateProgress(`Fetching pie ${id} ...`);
+
+  const rows = normalizePieDetails(id, fetchPieDetails(id, profile));
+  const keptRows = readPieDetailsRows(sheetName).filter(row => Number(row.pieId) !== id);
+  const rowsWritten = writePieDetailsToSheet(keptRows.concat(rows), sheetName);
+
+  updateProgress(`Completed ${sheetName}: pie ${id} written.`);
+  return { status: 'completed', sheetName: sheetName, rowsWritten: rowsWritten };
+}
+
+/**
+ * Fetches the details of every pie. The pie IDs are read from the pies list (which is also
+ * written to the "Pies" sheet), then each pie is requested within the 5 second pie rate limit.
+ * The "Pie Details" sheet is rewritten with one row per pie instrument.
+ * If the execution time budget runs out, the pies fetched so far are written and the remaining
+ * pie IDs are checkpointed; `resumeFetchJobs()` fetches them in a follow-up execution.
+ *
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string} [params.profile] - The account profile to fetch for (defaults to the active profile).
+ * @param {number|string} [params.pieId] - Fetches only this pie instead (see `fetchPie`).
+ * @returns {FetchResult} The outcome of the fetch.
+ */
+function fetchAllPieDetails(params = {}) {
+  if (params.pieId) {
+    return fetchPie(Object.assign({ id: params.pieId }, params));
+  }
+
+  const deadline = EXECUTION_STARTED_AT + EXECUTION_TIME_BUDGET_MS;
+  const profile = resolveProfile(params.profile);
+  const sheetName = getProfileSheetName(API_RESOURCES.PIE.sheetName, profile);
+
+  updateProgress('Fetching pies ...');
+  const pies = rateLimitedRequest(constructApiUrl(API_RESOURCES.PIES.endpoint, {}, false, profile), API_RESOURCES.PIES.endpoint, profile) || [];
+  const piesSheetName = getProfileSheetName(API_RESOURCES.PIES.sheetName, profile);
+  if (pies.length > 0) {
+    writeDataToSheet(pies, piesSheetName, 2, 'PIES');
+    formatSheet(piesSheetName);
+  }
+
+  // A new fetch for the same sheet replaces any paused job for it
+  const job = {
+    id: sheetName,
+    type: 'pies',
+    sheetName: sheetName,
+    profileName: profile.name,
+    pieIds: pies.map(pie => pie.id),
+    pieCount: pies.length,
+    startRow: 2,
+    nextRow: 2,
+    pages: 0,
+    startedAt: new Date().toISOString()
+  };
+
+  // Responses recorded while the job runs are saved once it ends or pauses
+  holdRecordedResponses();
+  try {
+    return runPieDetailsJob(job, deadline);
+  } finally {
+    releaseRecordedResponses();
+  }
+}
+
+/**
+ * Fetches the pies left in a pie details job until none are left or the execution time budget
+ * is used up. The first rows written replace the whole sheet; rows fetched after a resume are
+ * merged into it, replacing any earlier rows of the same pies.
+ *
+ * @param {Object} job - The pie details job (see `fetchAllPieDetails`).
+ * @param {number} deadline - Timestamp (ms) after which no further pie may be requested.
+ * @returns {FetchResult} The outcome, with status 'completed' or 'paused'.
+ */
+function runPieDetailsJob(job, deadline) {
+  const profile = resolveProfile(job.profileName);
+  let rows = [];
+
+  while (job.pieIds.length > 0) {
+    // Pies that would wait past the time budget are left for the follow-up execution
+    const pause = getPauseDelay(API_RESOURCES.PIE.endpoint, deadline, profile);
+    if (pause !== null) {
+      writePieDetailsJobRows(job, rows);
+      return pausePieDetailsJob(job, pause);
+    }
+
+    const id = job.pieIds[0];
+    updateProgress(`Fetching pie ${job.pages + 1} of ${job.pieCount} ...`);
+    try {
+      rows = rows.concat(normalizePieDetails(id, fetchPieDetails(id, profile)));
+    } catch (error) {
+      // Keep the pies fetched so far
+      writePieDetailsJobRows(job, rows);
+      fetchJobManager.deleteJob(job.id);
+      throw error;
+    }
+    job.pieIds.shift();
+    job.pages++;
+  }
+
+  writePieDetailsJobRows(job, rows);
+  fetchJobManager.deleteJob(job.id);
+
+  const rowsWritten = job.nextRow - job.startRow;
+  updateProgress(`Completed ${job.sheetName}: ${job.pieCount} pies, ${rowsWritten} rows written.`);
+  return { status: 'completed', sheetName: job.sheetName, rowsWritten: rowsWritten };
+}
+
+/**
+ * Writes the rows fetched by a pie details job and moves its target row past them.
+ *
+ * @param {Object} job - The pie details job.
+ * @param {Array<Object>} rows - The normalized rows fetched in this execution.
  * @returns {void}
  */
-function fetchPies() {
-  fetchDataAndWriteToSheet(API_RESOURCES.PIES.endpoint, API_RESOURCES.PIES.sheetName);
+function writePieDetailsJobRows(job, rows) {
+  if (rows.length === 0) {
+    return;
+  }
+
+  let allRows = rows;
+  if (job.nextRow > job.startRow) {
+    const fetchedIds = rows.map(row => Number(row.pieId));
+    allRows = readPieDetailsRows(job.sheetName)
+      .filter(row => fetchedIds.indexOf(Number(row.pieId)) === -1)
+      .concat(rows);
+  }
+
+  job.nextRow = job.startRow + writePieDetailsToSheet(allRows, job.sheetName);
 }
 
 /**
-* Fetches specific "pie" details from the Trading212 API and writes it to the "Pie Details" sheet.
-* 
-* @param {Object} params - The parameters for the request.
-* @param {number} params.id - The ID of the pie to fetch, required (int64).
-* @returns {void}
-* @throws {Error} Throws an error if the ID is not provided or is invalid.
-*/
-function fetchPie(params) {
-  // Validate the ID parameter
-  // if (!params || typeof params.id !== 'number' || !Number.isInteger(params.id)) {
-  //  throw new Error("Invalid or missing 'id' parameter. 'id' must be an integer.");
-  // }
+ * Checkpoints a pie details job and schedules a follow-up execution to fetch the remaining pies.
+ *
+ * @param {Object} job - The pie details job.
+ * @param {number} delayMs - The delay before resuming.
+ * @returns {FetchResult} The 'paused' outcome.
+ */
+function pausePieDetailsJob(job, delayMs) {
+  fetchJobManager.saveJob(job);
+  fetchJobManager.scheduleResume(delayMs);
+
+  const message = `Paused ${job.sheetName} after ${job.pages} of ${job.pieCount} pies; ` +
+    `the remaining pies will be fetched automatically in about ${Math.ceil(delayMs / MINUTE)} minute(s).`;
+  Logger.log(message);
+  updateProgress(message);
 
-  // Declare parameters for the API call
- //  const queryParams = {
-  //  id: params.id,
-  //};
+  return { status: 'paused', sheetName: job.sheetName, rowsWritten: job.nextRow - job.startRow };
+}
+
+/**
+ * Requests the details of one pie (settings and instruments).
+ *
+ * @param {number} id - The ID of the pie.
+ * @param {Object} profile - The account profile to fetch for.
+ * @returns {Object} The pie details as returned by the API.
+ */
+function fetchPieDetails(id, profile) {
+  const endpoint = API_RESOURCES.PIE.endpoint;
+  const data = rateLimitedRequest(constructApiUrl(endpoint, { id: id }, false, profile), endpoint, profile);
+  if (!data) {
+    throw new Trading212ApiError(`Trading212 returned no data for pie ${id}.`, { endpoint: endpoint });
+  }
+  return data;
+}
+
+/**
+ * Flattens a pie's details into one row per instrument, each repeating the pie's ID and settings.
+ * A pie without instruments still gets one row so its settings are listed.
+ *
+ * @param {number} id - The ID of the pie.
+ * @param {Object} details - The pie details ({ settings, instruments }).
+ * @returns {Array<Object>} The rows for the "Pie Details" sheet.
+ */
+function normalizePieDetails(id, details) {
+  const settings = details.settings || {};
+  const pie = {
+    pieId: id,
+    pieName: settings.name || '',
+    goal: settings.goal || '',
+    dividendCashAction: settings.dividendCashAction || '',
+    creationDate: settings.creationDate || '',
+    endDate: settings.endDate || '',
+    initialInvestment: settings.initialInvestment || ''
+  };
+
+  const instruments = details.instruments && details.instruments.length > 0 ? details.instruments : [{}];
+  return instruments.map(instrument => {
+    const result = instrument.result || {};
+    return Object.assign({}, pie, {
+      ticker: instrument.ticker || '',
+      targetShare: instrument.expectedShare !== undefined ? instrument.expectedShare : '',
+      currentShare: instrument.currentShare !== undefined ? instrument.currentShare : '',
+      ownedQuantity: instrument.ownedQuantity !== undefined ? instrument.ownedQuantity : '',
+      investedValue: result.priceAvgInvestedValue !== undefined ? result.priceAvgInvestedValue : '',
+      value: result.priceAvgValue !== undefined ? result.priceAvgValue : '',
+      result: result.priceAvgResult !== undefined ? result.priceAvgResult : '',
+      resultCoef: result.priceAvgResultCoef !== undefined ? result.priceAvgResultCoef : ''
+    });
+  });
+}
 
-  // Fetch data and write it to the specified sheet
-  fetchDataAndWriteToSheet(API_RESOURCES.PIE.endpoint, API_RESOURCES.PIE.sheetName);
+/**
+ * Reads the rows currently on a "Pie Details" sheet as objects keyed by header.
+ *
+ * @param {string} sheetName - The name of the pie details sheet.
+ * @returns {Array<Object>} The existing rows, or an empty array.
+ */
+function readPieDetailsRows(sheetName) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0];
+  return values.slice(1).map(row => {
+    const item = {};
+    headers.forEach((header, index) => {
+      item[header] = row[index];
+    });
+    return item;
+  });
+}
+
+/**
+ * Rewrites a "Pie Details" sheet with the given rows, ordered by pie ID, and formats it.
+ *
+ * @param {Array<Object>} rows - The normalized pie rows.
+ * @param {string} sheetName - The name of the pie details sheet.
+ * @returns {number} The number of rows written.
+ */
+function writePieDetailsToSheet(rows, sheetName) {
+  if (rows.length === 0) {
+    Logger.log(`No pie details to write to ${sheetName}.`);
+    return 0;
+  }
+
+  rows.sort((a, b) => Number(a.pieId) - Number(b.pieId));
+  const rowsWritten = writeDataToSheet(rows, sheetName);
+  formatSheet(sheetName);
+  return rowsWritten;
+}
+
+/**
+ * Prompts for a pie ID and fetches that pie's details for the active profile.
+ * Used by the "Fetch Pie by ID..." menu item.
+ */
+function promptFetchPie() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt('Fetch Pie', 'Enter the ID of the pie to fetch:', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  try {
+    const result = fetchPie({ id: response.getResponseText().trim() });
+    ui.alert(`Wrote ${result.rowsWritten} rows to "${result.sheetName}".`);
+  } catch (error) {
+    ui.alert(error.message);
+  }
 }
 
 /**
  * Fetches the instruments list data from the Trading212 API and writes it to the "InstrumentsList" sheet.
  * 
- * @returns {void}
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string} [params.profile] - The account profile to fetch for (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the fetch.
  */
-function fetchInstrumentsList() {
-  fetchDataAndWriteToSheet(API_RESOURCES.INSTRUMENTS_LIST.endpoint, API_RESOURCES.INSTRUMENTS_LIST.sheetName);
+function fetchInstrumentsList(params = {}) {
+  return fetchResourceToSheet('INSTRUMENTS_LIST', {}, params.profile);
 }
 
 /**
  * Fetches the exchange list data from the Trading212 API and writes it to the "ExchangeList" sheet.
  * 
- * @returns {void}
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string} [params.profile] - The account profile to fetch for (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the fetch.
  
  * @since 1.0.0
  * @version 1.0.0
@@ -134,27 +689,84 @@ function fetchInstrumentsList() {
  * @license MIT
  * 
  */
-function fetchExchanges() {
-  fetchDataAndWriteToSheet(API_RESOURCES.EXCHANGE_LIST.endpoint, API_RESOURCES.EXCHANGE_LIST.sheetName);
+function fetchExchanges(params = {}) {
+  return fetchResourceToSheet('EXCHANGE_LIST', {}, params.profile);
 }
 
 /**
  * Fetches the account information data from the Trading212 API and writes it to the specified sheet.
  *
  * @param {Object} [params={}] - Optional query parameters for the API call (if any).
- * @returns {void}
+ * @param {string} [params.profile] - The account profile to fetch for (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the fetch.
  */
 function fetchAccountInfo(params = {}) {
-  fetchDataAndWriteToSheet(API_RESOURCES.ACCOUNT_INFO.endpoint, API_RESOURCES.ACCOUNT_INFO.sheetName);
+  return fetchResourceToSheet('ACCOUNT_INFO', {}, params.profile);
 }
 
 /**
  * Fetches the account cash data from the Trading212 API and writes it to the "Cash" sheet.
  * 
- * @returns {void}
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string} [params.profile] - The account profile to fetch for (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the fetch.
+ */
+function fetchAccountCash(params = {}) {
+  return fetchResourceToSheet('ACCOUNT_CASH', {}, params.profile);
+}
+
+/**
+ * Fetches the open positions from the Trading212 API and writes them to the "Portfolio" sheet,
+ * one row per position with its ticker, quantity, average and current price, P&L, FX P&L
+ * and initial fill date.
+ * 
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string} [params.profile] - The account profile to fetch for (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the fetch.
  */
-function fetchAccountCash() {
-  fetchDataAndWriteToSheet(API_RESOURCES.ACCOUNT_CASH.endpoint, API_RESOURCES.ACCOUNT_CASH.sheetName);
+function fetchPortfolio(params = {}) {
+  return fetchResourceToSheet('PORTFOLIO', {}, params.profile);
+}
+
+/**
+ * Fetches the orders that are still pending (not yet filled or cancelled) from the Trading212 API
+ * and writes them to the "Pending Orders" sheet.
+ * 
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string} [params.profile] - The account profile to fetch for (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the fetch.
+ */
+function fetchPendingOrders(params = {}) {
+  return fetchResourceToSheet('PENDING_ORDERS', {}, params.profile);
+}
+
+/**
+ * Looks up a single open position without fetching the whole portfolio.
+ * 
+ * @example
+ * const position = getPositionByTicker('AAPL_US_EQ');
+ * if (position) Logger.log(`${position.quantity} @ ${position.currentPrice}`);
+ * 
+ * @param {string} ticker - The instrument ticker (e.g. 'AAPL_US_EQ').
+ * @param {string|Object} [profile] - The account profile to look in (defaults to the active profile).
+ * @returns {Object|null} The position ({ ticker, quantity, averagePrice, currentPrice, ppl, fxPpl,
+ *   initialFillDate, ... }), or null if the profile holds no such position.
+ * @throws {Trading212ApiError} If the lookup fails for another reason.
+ */
+function getPositionByTicker(ticker, profile) {
+  const resolvedProfile = resolveProfile(profile);
+  const resource = API_RESOURCES.POSITION;
+  const url = constructApiUrl(resource.endpoint, { ticker: ticker }, false, resolvedProfile);
+
+  try {
+    return rateLimitedRequest(url, resource.endpoint, resolvedProfile);
+  } catch (error) {
+    // Trading212 answers 404 for tickers that are not held
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
 }
 
 /**
@@ -162,71 +774,110 @@ function fetchAccountCash() {
  * Supports query parameters (e.g., limit, cursor).
  * Automatically handles pagination via the nextPagePath if returned by the API.
  * 
+ * Only transactions newer than those already in the sheet are fetched, unless
+ * `params.fullResync` is set.
+ * 
  * @example
  * fetchTransactions({ limit: 50, cursor: 'string' }); // Fetches 50 transactions with page navigation
  * as string (other options are unknown at the moment)
+ * fetchTransactions({ fullResync: true });           // Re-downloads the whole history
  * 
  * @version v0
- * @param {Object} [params={}] - Optional query parameters for the API call (e.g., cursor, limit).
- * @returns {void}
+ * @param {Object} [params={}] - Optional query parameters for the API call (e.g., cursor, limit, fullResync, profile).
+ * @returns {FetchResult} The outcome of the fetch.
  */
 
 function fetchTransactions(params = {}) {
-  // Declare parameters as a variable
+  // Declare parameters, falling back to the defaults in RESOURCE_REGISTRY
+  const defaults = getResourceDefaults('TRANSACTIONS');
   const queryParams = {
-    cursorID: params.cursor || 'string',  // Default to 'string'
-    limit: params.limit || 50,            // Max 50, API documentation defaults to 20
+    cursorID: params.cursor || defaults.cursorID,
+    limit: params.limit || defaults.limit
   };
 
-   // Call the generic fetchDataAndWriteToSheet function with the query parameters
-  fetchDataAndWriteToSheet(API_RESOURCES.TRANSACTIONS.endpoint, API_RESOURCES.TRANSACTIONS.sheetName, queryParams);
+  // Only fetch what is missing from the sheet (or everything on a full resync)
+  return syncDataToSheet('TRANSACTIONS', queryParams, { fullResync: params.fullResync, profile: params.profile });
 }
 
 /**
  * Fetches the orders history data from the Trading212 API and writes it to the specified sheet.
  * Supports pagination with a cursor and allows filtering by ticker and limit.
+ * Only orders newer than those already in the sheet are fetched, unless `params.fullResync` is set.
  * 
  * @example
  * fetchOrderHistory({ ticker: 'AAPL_US_EQ', limit: 10 });
  * fetchOrderHistory();
+ * fetchOrderHistory({ fullResync: true });
  * 
- * @param {Object} [params={}] - Optional query parameters for the API call (e.g., cursor, ticker, limit).
- * @returns {void}
+ * @param {Object} [params={}] - Optional query parameters for the API call (e.g., cursor, ticker, limit, fullResync, profile).
+ * @returns {FetchResult} The outcome of the fetch.
  */
 function fetchOrderHistory(params = {}) {
-  // Declare default parameters
+  // Declare parameters, falling back to the defaults in RESOURCE_REGISTRY
+  const defaults = getResourceDefaults('ORDER_HISTORY');
   const queryParams = {
-    cursor: params.cursor || '0',     // Default cursor is '0'
-    ticker: params.ticker || '',      // Default ticker
-    limit: params.limit || 50         // Max 50, API documentation defaults to 20
+    cursor: params.cursor || defaults.cursor,
+    ticker: params.ticker || defaults.ticker,
+    limit: params.limit || defaults.limit
   };
 
-  // Pass the request to the generic fetchDataAndWriteToSheet function
-  fetchDataAndWriteToSheet(API_RESOURCES.ORDER_HISTORY.endpoint, API_RESOURCES.ORDER_HISTORY.sheetName, queryParams);
+  // Only fetch what is missing from the sheet (or everything on a full resync)
+  return syncDataToSheet('ORDER_HISTORY', queryParams, { fullResync: params.fullResync, profile: params.profile });
 }
 
 /**
  * Fetches the dividend history data from the Trading212 API and writes it to the specified sheet.
  * Supports pagination with a cursor and allows filtering by ticker and limit.
  * Automatically handles pagination via the nextPagePath if returned by the API.
+ * Only dividends newer than those already in the sheet are fetched, unless `params.fullResync` is set.
  * 
  * @example
  * fetchDividends({ ticker: 'AAPL_US_EQ', limit: 10 });
  * fetchDividends();
+ * fetchDividends({ fullResync: true });
  * 
- * @param {Object} [params={}] - Optional query parameters for the API call (e.g., cursor, ticker, limit).
- * @returns {void}
+ * @param {Object} [params={}] - Optional query parameters for the API call (e.g., cursor, ticker, limit, fullResync, profile).
+ * @returns {FetchResult} The outcome of the fetch.
  */
 function fetchDividends(params = {}) {
-  // Declare default parameters
+  // Declare parameters, falling back to the defaults in RESOURCE_REGISTRY
+  const defaults = getResourceDefaults('DIVIDENDS');
   const queryParams = {
-    cursor: params.cursor || '0',     // Default cursor is '0'
-    ticker: params.ticker || '',      // Default ticker
-    limit: params.limit || 50         // Default limit is 20, max is 50
+    cursor: params.cursor || defaults.cursor,
+    ticker: params.ticker || defaults.ticker,
+    limit: params.limit || defaults.limit
   };
 
-  // Call the generic fetchDataAndWriteToSheet function with the 'dividends' endpoint
-  fetchDataAndWriteToSheet(API_RESOURCES.DIVIDENDS.endpoint, API_RESOURCES.DIVIDENDS.sheetName, queryParams);
+  // Only fetch what is missing from the sheet (or everything on a full resync)
+  return syncDataToSheet('DIVIDENDS', queryParams, { fullResync: params.fullResync, profile: params.profile });
+}
+
+/**
+ * Re-downloads the complete transaction history, replacing the "Transactions" sheet.
+ * Intended for repairs when the incremental sync state no longer matches the sheet.
+ *
+ * @returns {FetchResult} The outcome of the fetch.
+ */
+function fullResyncTransactions() {
+  return fetchTransactions({ fullResync: true });
+}
+
+/**
+ * Re-downloads the complete order history, replacing the "History" sheet.
+ *
+ * @returns {FetchResult} The outcome of the fetch.
+ */
+function fullResyncOrderHistory() {
+  return fetchOrderHistory({ fullResync: true });
+}
+
+/**
+ * Re-downloads the complete dividend history, replacing the "Dividends" sheet.
+ *
+ * @returns {FetchResult} The outcome of the fetch.
+ */
+function fullResyncDividends() {
+  return fetchDividends({ fullResync: true });
 }
 
 
@@ -236,37 +887,52 @@ function fetchDividends(params = {}) {
 * 
 * @function
 * @name fetchSelectedTrading212Data
-* @param {string[]} selectedOptions - An array of strings representing the data types to fetch.
-* @returns {string} A message indicating that data fetching is complete.
+* @param {string[]} selectedOptions - An array of strings representing the data types to fetch
+*              (the labels of `RESOURCE_REGISTRY`).
+* @param {Object} [options={}] - Options forwarded to every fetch function.
+* @param {boolean} [options.fullResync=false] - Re-download full histories instead of syncing incrementally
+*              (only used by resources paged by cursor).
+* @param {string} [options.profile] - The account profile to fetch for (defaults to the active profile).
+*              The fetch dialog calls this once per profile when "All profiles" is chosen.
+* @param {string} [options.pieId] - Limits 'Pie Details' to a single pie instead of all pies.
+* @returns {FetchResult} The outcome of the fetch for the selected option.
 * @description This function takes an array of selected data types and calls the corresponding
 *              fetch functions for each selected type. It handles errors for individual fetch
-*              operations and logs them without stopping the entire process.
+*              operations and logs them without stopping the entire process. Failures are
+*              returned as a 'failed' result carrying the serialized error (see `serializeError`),
+*              because thrown errors lose their type and details on the way to the client.
 * @example
 * fetchSelectedTrading212Data(['pies', 'accountInfo', 'transactions']);
+* fetchSelectedTrading212Data(['Transactions'], { fullResync: true });
+* fetchSelectedTrading212Data(['Dividends'], { profile: 'ISA' });
+* fetchSelectedTrading212Data(['Snapshot'], { profile: 'ISA' });  // Records a snapshot (see takeSnapshot)
 */
-function fetchSelectedTrading212Data(selectedOptions) {
-  const fetchFunctions = {
-    'Pies': fetchPies,
-    'Account Info': fetchAccountInfo,
-    'Cash Balance': fetchAccountCash,
-    'Transactions': fetchTransactions,
-    'Order History': fetchOrderHistory,
-    'Dividends': fetchDividends
-  };
-
+function fetchSelectedTrading212Data(selectedOptions, options = {}) {
   // Iterate through each selected option
   const option = selectedOptions[0];
-    // Check if a fetch function exists for the current option
-    if (fetchFunctions[option]) {
+
+  // The snapshot is not a resource of its own, it records the ones just refreshed
+  if (option === SNAPSHOT_OPTION) {
+    try {
+      return takeSnapshot({ profile: options.profile });
+    } catch (error) {
+      console.error('Error taking a snapshot:', error);
+      return { status: 'failed', sheetName: '', rowsWritten: 0, error: serializeError(error) };
+    }
+  }
+
+  const entry = getRegistryEntry(option);
+    // Check if a fetch function exists for the current option (see RESOURCE_REGISTRY)
+    if (entry) {
       try {
         // Execute the fetch function for the current option
-        const result = fetchFunctions[option]();
+        const result = runRegistryHandler(entry, options);
         console.log(`Fetched ${option}:`, result);  // Add logging
         return result;
       } catch (error) {
-        // If an error occurs during fetch, log it using the Logger
+        // If an error occurs during fetch, log it and report it to the client
         console.error(`Error fetching ${option}:`, error);  // Add error logging
-        throw error;
+        return { status: 'failed', sheetName: '', rowsWritten: 0, error: serializeError(error) };
       }
     }
     else {
@@ -0,0 +1,230 @@
+/**
+ * ===================== History Export Functions =========================
+ *
+ * This section contains the functions that download the complete account history
+ * through Trading212's asynchronous CSV export instead of paging the history endpoints.
+ *
+ * The export runs in three steps:
+ * 1. Request a report for a time range (`POST history/exports`).
+ * 2. Poll the list of reports (`GET history/exports`) until the report is finished.
+ * 3. Download the CSV from the report's download link and write it to the "Statements" sheet.
+ *
+ * Polling is limited to one request per minute, so an export is checkpointed like any
+ * other fetch job and continues in a follow-up execution (see `resumeFetchJobs()`).
+ *
+ * Functions in this section include:
+ * - `fetchStatements`: Requests a report and runs the export job.
+ * - `runExportJob`: Polls, downloads and writes a requested report.
+ */
+
+/**
+ * Requests a history export covering orders, transactions, dividends and interest,
+ * then waits for it and writes the CSV to the "Statements" sheet.
+ *
+ * @example
+ * fetchStatements();                                                          // Full history
+ * fetchStatements({ timeFrom: '2024-01-01', timeTo: '2024-12-31T23:59:59Z' }); // One year
+ *
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string} [params.timeFrom] - Start of the exported range (defaults to `EXPORT_DEFAULT_TIME_FROM`).
+ * @param {string} [params.timeTo] - End of the exported range (defaults to now).
+ * @param {string} [params.profile] - The account profile to export (defaults to the active profile).
+ * @returns {FetchResult} The outcome of the export.
+ * @throws {ValidationError} If a date of the range cannot be read.
+ */
+function fetchStatements(params = {}) {
+  const deadline = EXECUTION_STARTED_AT + EXECUTION_TIME_BUDGET_MS;
+  const profile = resolveProfile(params.profile);
+  const sheetName = getProfileSheetName(API_RESOURCES.HISTORY_EXPORTS.sheetName, profile);
+  const timeFrom = toExportTime(params.timeFrom || EXPORT_DEFAULT_TIME_FROM);
+  const timeTo = toExportTime(params.timeTo || new Date());
+
+  updateProgress(`Requesting a history export from ${timeFrom} to ${timeTo} ...`);
+
+  const request = API_RESOURCES.HISTORY_EXPORT_REQUEST;
+  const response = rateLimitedRequest(constructApiUrl(request.endpoint, {}, false, profile), getRateLimitKey(request), profile, {
+    method: request.method,
+    payload: {
+      dataIncluded: {
+        includeDividends: true,
+        includeInterest: true,
+        includeOrders: true,
+        includeTransactions: true
+      },
+      timeFrom: timeFrom,
+      timeTo: timeTo
+    }
+  });
+
+  if (!response || !response.reportId) {
+    throw new Trading212ApiError('Trading212 did not return a report ID for the history export.', { endpoint: request.endpoint });
+  }
+  Logger.log(`Requested history export ${response.reportId} for ${profile.name}.`);
+
+  // A new export for the same sheet replaces any paused job for it
+  const job = {
+    id: sheetName,
+    type: 'export',
+    sheetName: sheetName,
+    profileName: profile.name,
+    reportId: response.reportId,
+    timeFrom: timeFrom,
+    timeTo: timeTo,
+    polls: 0,
+    startedAt: new Date().toISOString()
+  };
+  fetchJobManager.saveJob(job);
+
+  return runExportJob(job, deadline);
+}
+
+/**
+ * Polls a requested report until it is finished, then downloads and writes its CSV.
+ * When the next poll would run past the deadline the job is paused and a follow-up
+ * execution is scheduled to continue polling.
+ *
+ * @param {Object} job - The export job (see `fetchStatements`).
+ * @param {number} deadline - Timestamp (ms) after which no further poll may be started.
+ * @returns {FetchResult} The outcome, with status 'completed' or 'paused'.
+ * @throws {Trading212ApiError} If the report failed, was cancelled or cannot be downloaded.
+ */
+function runExportJob(job, deadline) {
+  const profile = resolveProfile(job.profileName);
+  const listKey = getRateLimitKey(API_RESOURCES.HISTORY_EXPORTS);
+
+  while (true) {
+    const pause = getPauseDelay(listKey, deadline, profile);
+    if (pause !== null) {
+      return pauseExportJob(job, pause);
+    }
+
+    try {
+      const report = getExportReport(job.reportId, profile);
+      job.polls++;
+
+      if (report.status === 'Finished') {
+        const rowsWritten = writeCsvToSheet(downloadExportReport(report), job.sheetName);
+        fetchJobManager.deleteJob(job.id);
+        updateProgress(`Completed ${job.sheetName}: ${rowsWritten} rows written.`);
+        return { status: 'completed', sheetName: job.sheetName, rowsWritten: rowsWritten };
+      }
+
+      if (report.status === 'Failed' || report.status === 'Canceled') {
+        throw new Trading212ApiError(`Trading212 could not create history export ${job.reportId} (${report.status.toLowerCase()}). Please request a new one.`, {
+          endpoint: API_RESOURCES.HISTORY_EXPORTS.endpoint
+        });
+      }
+
+      updateProgress(`History export ${job.reportId} is ${String(report.status).toLowerCase()}, checking again in a minute ...`);
+      fetchJobManager.saveJob(job);
+    } catch (error) {
+      fetchJobManager.deleteJob(job.id);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Checkpoints an export job and schedules a follow-up execution to continue polling.
+ *
+ * @param {Object} job - The export job.
+ * @param {number} delayMs - The delay before resuming.
+ * @returns {FetchResult} The 'paused' outcome.
+ */
+function pauseExportJob(job, delayMs) {
+  fetchJobManager.saveJob(job);
+  fetchJobManager.scheduleResume(delayMs);
+
+  const message = `History export ${job.reportId} is not ready yet; ` +
+    `it will be checked again automatically in about ${Math.ceil(delayMs / MINUTE)} minute(s).`;
+  Logger.log(message);
+  updateProgress(message);
+
+  return { status: 'paused', sheetName: job.sheetName, rowsWritten: 0 };
+}
+
+/**
+ * Looks up a requested report in the list of exports.
+ *
+ * @param {number} reportId - The ID returned when the report was requested.
+ * @param {Object} profile - The account profile the report belongs to.
+ * @returns {Object} The report ({ reportId, status, downloadLink, ... }).
+ * @throws {Trading212ApiError} If the report is not listed.
+ */
+function getExportReport(reportId, profile) {
+  const resource = API_RESOURCES.HISTORY_EXPORTS;
+  const reports = rateLimitedRequest(constructApiUrl(resource.endpoint, {}, false, profile), getRateLimitKey(resource), profile) || [];
+  const report = reports.find(item => String(item.reportId) === String(reportId));
+
+  if (!report) {
+    throw new Trading212ApiError(`History export ${reportId} is no longer listed by Trading212. Please request a new one.`, {
+      endpoint: resource.endpoint
+    });
+  }
+  return report;
+}
+
+/**
+ * Downloads the CSV of a finished report. The download link is pre-signed, so no API key is sent.
+ *
+ * @param {Object} report - The finished report.
+ * @returns {Array<Array<string>>} The parsed CSV, header row first.
+ * @throws {NetworkError|Trading212ApiError} If the download fails.
+ */
+function downloadExportReport(report) {
+  const endpoint = API_RESOURCES.HISTORY_EXPORTS.endpoint;
+  updateProgress(`Downloading history export ${report.reportId} ...`);
+
+  let response;
+  try {
+    response = getHttpTransport().fetch(report.downloadLink, { muteHttpExceptions: true });
+  } catch (error) {
+    throw new NetworkError(`Could not download history export ${report.reportId} (${error.message}).`, { endpoint: endpoint });
+  }
+
+  const status = response.getResponseCode();
+  if (status !== 200) {
+    throw new Trading212ApiError(`Downloading history export ${report.reportId} failed (${status}). Please request a new one.`, {
+      status: status, endpoint: endpoint, body: response.getContentText()
+    });
+  }
+
+  return Utilities.parseCsv(response.getContentText());
+}
+
+/**
+ * Replaces the content of a sheet with parsed CSV rows and formats it.
+ * The CSV headers are kept as they are, since they are already readable.
+ *
+ * @param {Array<Array<string>>} csv - The parsed CSV, header row first.
+ * @param {string} sheetName - The name of the sheet to write to.
+ * @returns {number} The number of data rows written.
+ */
+function writeCsvToSheet(csv, sheetName) {
+  const sheet = getOrCreateSheet(sheetName);
+  const headers = csv.length > 0 ? csv[0] : [];
+  const rows = csv.slice(1);
+
+  clearSheetAndWriteHeaders(sheet, headers);
+  if (rows.length > 0) {
+    writeRowsToSheet(sheet, rows, 2);
+  }
+  formatSheet(sheetName);
+
+  return rows.length;
+}
+
+/**
+ * Converts a date (or date string) into the ISO 8601 time format used by the export API.
+ *
+ * @param {Date|string} value - The date to convert.
+ * @returns {string} The ISO 8601 date and time.
+ * @throws {ValidationError} If the value is not a valid date.
+ */
+function toExportTime(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`"${value}" is not a valid date for a history export.`);
+  }
+  return date.toISOString();
+}
@@ -0,0 +1,286 @@
+/**
+ * ===================== HTTP Fixtures =========================
+ *
+ * Built-in responses replayed by the offline transport (see `FixtureTransport`). They cover
+ * every endpoint of `API_RESOURCES` with a small demo account, so each fetch, the pagination
+ * of the history resources, formatting, orders and pie changes can be tried without an API key.
+ *
+ * Some fixtures are sequences that exercise the error handling:
+ * - The pies list answers 429 (rate limited) once before succeeding.
+ * - The first page of dividends answers 500 once before succeeding.
+ * Transactions, order history and dividends come in two pages linked by `nextPagePath`.
+ *
+ * Responses recorded with the recording transport take precedence over these.
+ */
+
+const HTTP_FIXTURES = {
+  'GET equity/account/info': {
+    status: 200,
+    body: { currencyCode: 'GBP', id: 10000001 }
+  },
+  'GET equity/account/cash': {
+    status: 200,
+    body: { blocked: 0, free: 412.37, invested: 9120.5, pieCash: 3.12, ppl: 1045.83, result: 388.21, total: 10578.7 }
+  },
+  'GET equity/portfolio': {
+    status: 200,
+    body: [
+      {
+        ticker: 'AAPL_US_EQ', quantity: 12.5, averagePrice: 148.2, currentPrice: 189.84, ppl: 412.6, fxPpl: -18.4,
+        initialFillDate: '2022-03-14T14:31:02.000+00:00', frontend: 'AUTOINVEST', maxBuy: 250, maxSell: 12.5, pieQuantity: 4.5
+      },
+      {
+        ticker: 'VUSAl_EQ', quantity: 80, averagePrice: 68.45, currentPrice: 82.11, ppl: 1092.8, fxPpl: 0,
+        initialFillDate: '2021-06-01T08:05:44.000+00:00', frontend: 'API', maxBuy: 1000, maxSell: 80, pieQuantity: 80
+      },
+      {
+        ticker: 'SHELl_EQ', quantity: 45, averagePrice: 24.9, currentPrice: 26.02, ppl: 50.4, fxPpl: 0,
+        initialFillDate: '2023-01-09T09:12:30.000+00:00', frontend: 'IOS', maxBuy: 2000, maxSell: 45, pieQuantity: 0
+      }
+    ]
+  },
+  'GET equity/portfolio/{ticker}': {
+    status: 200,
+    body: {
+      ticker: 'AAPL_US_EQ', quantity: 12.5, averagePrice: 148.2, currentPrice: 189.84, ppl: 412.6, fxPpl: -18.4,
+      initialFillDate: '2022-03-14T14:31:02.000+00:00', frontend: 'AUTOINVEST', maxBuy: 250, maxSell: 12.5, pieQuantity: 4.5
+    }
+  },
+  'GET equity/orders': {
+    status: 200,
+    body: [
+      {
+        id: 4400100201, ticker: 'SHELl_EQ', type: 'LIMIT', status: 'NEW', strategy: 'QUANTITY', quantity: 10,
+        filledQuantity: 0, limitPrice: 24.5, value: 245, filledValue: 0, creationTime: '2024-05-02T07:55:10.000+00:00'
+      }
+    ]
+  },
+  'POST equity/orders/market': {
+    status: 200,
+    body: {
+      id: 4400100301, ticker: 'AAPL_US_EQ', type: 'MARKET', status: 'NEW', strategy: 'QUANTITY', quantity: 1,
+      filledQuantity: 0, creationTime: '2024-05-03T14:30:00.000+00:00'
+    }
+  },
+  'POST equity/orders/limit': {
+    status: 200,
+    body: {
+      id: 4400100302, ticker: 'AAPL_US_EQ', type: 'LIMIT', status: 'NEW', strategy: 'QUANTITY', quantity: 1,
+      limitPrice: 180, filledQuantity: 0, creationTime: '2024-05-03T14:30:00.000+00:00'
+    }
+  },
+  'POST equity/orders/stop': {
+    status: 200,
+    body: {
+      id: 4400100303, ticker: 'AAPL_US_EQ', type: 'STOP', status: 'NEW', strategy: 'QUANTITY', quantity: -1,
+      stopPrice: 170, filledQuantity: 0, creationTime: '2024-05-03T14:30:00.000+00:00'
+    }
+  },
+  'POST equity/orders/stop_limit': {
+    status: 200,
+    body: {
+      id: 4400100304, ticker: 'AAPL_US_EQ', type: 'STOP_LIMIT', status: 'NEW', strategy: 'QUANTITY', quantity: -1,
+      stopPrice: 170, limitPrice: 168, filledQuantity: 0, creationTime: '2024-05-03T14:30:00.000+00:00'
+    }
+  },
+  'DELETE equity/orders/{id}': {
+    status: 200,
+    body: ''
+  },
+  'GET equity/pies': [
+    {
+      status: 429,
+      headers: { 'Retry-After': '1', 'x-ratelimit-limit': '1', 'x-ratelimit-remaining': '0' },
+      body: { code: 'BusinessException', message: 'Too many requests' }
+    },
+    {
+      status: 200,
+      body: [
+        {
+          id: 2616371, cash: 3.12, progress: 0.42, status: 'AHEAD',
+          dividendDetails: { gained: 48.2, inCash: 0, reinvested: 48.2 },
+          result: { priceAvgInvestedValue: 6200, priceAvgValue: 7088.22, priceAvgResult: 888.22, priceAvgResultCoef: 0.1433 }
+        }
+      ]
+    }
+  ],
+  'GET equity/pies/{id}': {
+    status: 200,
+    body: {
+      settings: {
+        id: 2616371, name: 'Core', goal: 15000, icon: 'Home', dividendCashAction: 'REINVEST',
+        creationDate: '2021-06-01T08:00:00.000+00:00', endDate: '2030-12-31T00:00:00.000+00:00', initialInvestment: 1000
+      },
+      instruments: [
+        {
+          ticker: 'VUSAl_EQ', expectedShare: 0.8, currentShare: 0.8112, ownedQuantity: 80,
+          result: { priceAvgInvestedValue: 5476, priceAvgValue: 6568.8, priceAvgResult: 1092.8, priceAvgResultCoef: 0.1996 },
+          issues: []
+        },
+        {
+          ticker: 'AAPL_US_EQ', expectedShare: 0.2, currentShare: 0.1888, ownedQuantity: 4.5,
+          result: { priceAvgInvestedValue: 724, priceAvgValue: 519.42, priceAvgResult: -204.58, priceAvgResultCoef: -0.2826 },
+          issues: [{ name: 'PRICE_TOO_FAR', severity: 'INFORMATIVE' }]
+        }
+      ]
+    }
+  },
+  'POST equity/pies': {
+    status: 200,
+    body: { settings: { id: 2616400, name: 'New Pie' }, instruments: [] }
+  },
+  'POST equity/pies/{id}': {
+    status: 200,
+    body: { settings: { id: 2616371, name: 'Core' }, instruments: [] }
+  },
+  'DELETE equity/pies/{id}': {
+    status: 200,
+    body: ''
+  },
+  'GET equity/metadata/instruments': {
+    status: 200,
+    body: [
+      {
+        ticker: 'AAPL_US_EQ', type: 'STOCK', workingScheduleId: 71, isin: 'US0378331005', currencyCode: 'USD',
+        name: 'Apple', shortName: 'AAPL', minTradeQuantity: 0.01, maxOpenQuantity: 36000, addedOn: '2018-07-12T06:53:19.000+03:00'
+      },
+      {
+        ticker: 'VUSAl_EQ', type: 'ETF', workingScheduleId: 53, isin: 'IE00B3XXRP09', currencyCode: 'GBP',
+        name: 'Vanguard S&P 500 (Dist)', shortName: 'VUSA', minTradeQuantity: 0.1, maxOpenQuantity: 50000, addedOn: '2019-05-31T08:01:15.000+03:00'
+      },
+      {
+        ticker: 'SHELl_EQ', type: 'STOCK', workingScheduleId: 53, isin: 'GB00BP6MXD84', currencyCode: 'GBX',
+        name: 'Shell', shortName: 'SHEL', minTradeQuantity: 1, maxOpenQuantity: 100000, addedOn: '2022-01-31T07:45:02.000+02:00'
+      }
+    ]
+  },
+  'GET equity/metadata/exchanges': {
+    status: 200,
+    body: [
+      {
+        id: 1, name: 'NASDAQ',
+        workingSchedules: [
+          {
+            id: 71,
+            timeEvents: [
+              { date: '2024-05-03T08:00:00.000+00:00', type: 'PRE_MARKET_OPEN' },
+              { date: '2024-05-03T13:30:00.000+00:00', type: 'OPEN' },
+              { date: '2024-05-03T20:00:00.000+00:00', type: 'CLOSE' }
+            ]
+          }
+        ]
+      },
+      {
+        id: 2, name: 'London Stock Exchange',
+        workingSchedules: [
+          {
+            id: 53,
+            timeEvents: [
+              { date: '2024-05-03T07:00:00.000+00:00', type: 'OPEN' },
+              { date: '2024-05-03T15:30:00.000+00:00', type: 'CLOSE' }
+            ]
+          }
+        ]
+      }
+    ]
+  },
+  'GET history/transactions': {
+    status: 200,
+    body: {
+      items: [
+        { type: 'DEPOSIT', amount: 500, reference: 'a1f0c2d4-0001', dateTime: '2024-05-01T10:22:13.000Z' },
+        { type: 'FEE', amount: -0.75, reference: 'a1f0c2d4-0002', dateTime: '2024-04-15T09:00:00.000Z' }
+      ],
+      nextPagePath: '/api/v0/history/transactions?limit=50&cursor=2024-04-15T09:00:00.000Z'
+    }
+  },
+  'GET history/transactions?limit=50&cursor=2024-04-15T09:00:00.000Z': {
+    status: 200,
+    body: {
+      items: [
+        { type: 'DEPOSIT', amount: 1000, reference: 'a1f0c2d4-0003', dateTime: '2024-03-01T12:00:00.000Z' },
+        { type: 'WITHDRAW', amount: -250, reference: 'a1f0c2d4-0004', dateTime: '2024-02-10T16:45:31.000Z' }
+      ],
+      nextPagePath: null
+    }
+  },
+  'GET equity/history/orders': {
+    status: 200,
+    body: {
+      items: [
+        {
+          id: 4400100101, ticker: 'AAPL_US_EQ', type: 'MARKET', status: 'FILLED', executor: 'AUTOINVEST', fillType: 'TOTV',
+          orderedQuantity: 2.5, filledQuantity: 2.5, fillPrice: 165.2, fillCost: 413, fillResult: 0, timeValidity: 'DAY',
+          dateCreated: '2024-04-02T13:30:01.000Z', dateExecuted: '2024-04-02T13:30:02.000Z', dateModified: '2024-04-02T13:30:02.000Z',
+          fillId: 5500100101, taxes: [{ fillId: '5500100101', name: 'CURRENCY_CONVERSION_FEE', quantity: -0.62, timeCharged: '2024-04-02T13:30:02.000Z' }]
+        }
+      ],
+      nextPagePath: '/api/v0/equity/history/orders?limit=50&cursor=4400100101'
+    }
+  },
+  'GET equity/history/orders?limit=50&cursor=4400100101': {
+    status: 200,
+    body: {
+      items: [
+        {
+          id: 4400100001, ticker: 'VUSAl_EQ', type: 'LIMIT', status: 'FILLED', executor: 'API', fillType: 'OTC',
+          orderedQuantity: 20, filledQuantity: 20, limitPrice: 70, fillPrice: 69.8, fillCost: 1396, fillResult: 0, timeValidity: 'GOOD_TILL_CANCEL',
+          dateCreated: '2024-01-15T08:10:00.000Z', dateExecuted: '2024-01-15T08:12:41.000Z', dateModified: '2024-01-15T08:12:41.000Z',
+          fillId: 5500100001, taxes: [{ fillId: '5500100001', name: 'STAMP_DUTY_RESERVE_TAX', quantity: -6.98, timeCharged: '2024-01-15T08:12:41.000Z' }]
+        }
+      ],
+      nextPagePath: null
+    }
+  },
+  'GET history/dividends': [
+    {
+      status: 500,
+      body: { code: 'InternalError', message: 'Internal server error' }
+    },
+    {
+      status: 200,
+      body: {
+        items: [
+          {
+            ticker: 'VUSAl_EQ', reference: 'd7b3e1f0-0001', quantity: 80, amount: 18.72, amountInEuro: 21.9,
+            grossAmountPerShare: 0.234, paidOn: '2024-03-27T00:00:00.000+00:00', type: 'ORDINARY'
+          }
+        ],
+        nextPagePath: '/api/v0/history/dividends?limit=50&cursor=d7b3e1f0-0001'
+      }
+    }
+  ],
+  'GET history/dividends?limit=50&cursor=d7b3e1f0-0001': {
+    status: 200,
+    body: {
+      items: [
+        {
+          ticker: 'AAPL_US_EQ', reference: 'd7b3e1f0-0002', quantity: 12.5, amount: 2.41, amountInEuro: 2.82,
+          grossAmountPerShare: 0.24, paidOn: '2024-02-15T00:00:00.000+00:00', type: 'ORDINARY'
+        }
+      ],
+      nextPagePath: null
+    }
+  },
+  'POST history/exports': {
+    status: 200,
+    body: { reportId: 1001 }
+  },
+  'GET history/exports': {
+    status: 200,
+    body: [
+      {
+        reportId: 1001, status: 'Finished', timeFrom: '2016-01-01T00:00:00Z', timeTo: '2024-05-03T00:00:00Z',
+        dataIncluded: { includeDividends: true, includeInterest: true, includeOrders: true, includeTransactions: true },
+        downloadLink: 'https://fixtures.invalid/history-exports/1001.csv'
+      }
+    ]
+  },
+  'GET https://fixtures.invalid/history-exports/1001.csv': {
+    status: 200,
+    body: 'Action,Time,ISIN,Ticker,Name,No. of shares,Price / share,Currency (Price / share),Exchange rate,Total,Currency (Total),ID\n' +
+      'Deposit,2024-03-01 12:00:00,,,,,,,,1000.00,GBP,a1f0c2d4-0003\n' +
+      'Market buy,2024-04-02 13:30:02,US0378331005,AAPL,Apple,2.5,165.20,USD,1.2501,330.38,GBP,EOF5500100101\n' +
+      'Dividend (Ordinary),2024-03-27 00:00:00,IE00B3XXRP09,VUSA,Vanguard S&P 500 (Dist),80,0.234,GBP,1.00,18.72,GBP,\n'
+  }
+};
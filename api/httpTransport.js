@@ -0,0 +1,427 @@
+/**
+ * ===================== HTTP Transport =========================
+ *
+ * Every HTTP request of the project (`makeApiRequest()`, `makeInitialApiRequest()` and the
+ * download of history exports) goes through the transport returned by `getHttpTransport()`.
+ * A transport is any object with a `fetch(url, options)` method that takes the same
+ * arguments as `UrlFetchApp.fetch()` and returns an object with the same response methods
+ * (`getResponseCode()`, `getContentText()`, `getHeaders()` and `getAllHeaders()`).
+ *
+ * The transport is chosen per user under "Setup > HTTP Transport":
+ * - 'live': requests go to Trading212 (the default).
+ * - 'fixtures': requests are answered offline from recorded responses (see `HTTP_FIXTURES`),
+ *   so the tool can be tried, and bugs reproduced, without an API key or network.
+ * - 'record': requests go to Trading212 and each response is saved, with secrets redacted, to
+ *   a JSON file in the user's Drive (once per fetch job for paged fetches). Recorded responses
+ *   take precedence over the built-in fixtures when replaying.
+ *
+ * Fixtures are keyed by method and API path, e.g. 'GET equity/portfolio', optionally with the
+ * query string ('GET history/transactions?limit=50&cursor=2') or placeholders
+ * ('GET equity/pies/{id}'). URLs outside the API (e.g. export downloads) are keyed by the
+ * full URL without its query string. A fixture is either one response ({ status, headers, body })
+ * or a list of responses that are returned in turn, the last one repeating, which is how
+ * rate limits (429) and server errors (500) followed by a success are replayed.
+ */
+
+// User property holding the chosen transport mode
+const HTTP_TRANSPORT_PROPERTY = 'HTTP_TRANSPORT';
+
+// The transport modes (see `getHttpTransport()`)
+const HTTP_TRANSPORT_MODES = {
+  LIVE: 'live',
+  FIXTURES: 'fixtures',
+  RECORD: 'record'
+};
+
+// Name of the Drive file holding recorded responses
+const RECORDED_FIXTURES_FILE_NAME = 'Trading212 HTTP Fixtures.json';
+
+// Response headers and body fields whose values are never recorded
+const REDACTED_HEADERS = ['set-cookie', 'cookie', 'authorization'];
+const REDACTED_FIELD_PATTERN = /(api[-_]?key|authorization|token|secret|password|signature|credential)/i;
+
+/**
+ * A recorded response, answering the same methods as a UrlFetchApp HTTPResponse.
+ */
+class FixtureResponse {
+  /**
+   * @param {{status: number, headers: Object, body: *}} fixture The recorded response.
+   */
+  constructor(fixture) {
+    this.status = fixture.status || 200;
+    this.headers = fixture.headers || {};
+    this.body = fixture.body === undefined || fixture.body === null
+      ? ''
+      : typeof fixture.body === 'string' ? fixture.body : JSON.stringify(fixture.body);
+  }
+
+  getResponseCode() {
+    return this.status;
+  }
+
+  getContentText() {
+    return this.body;
+  }
+
+  getHeaders() {
+    return this.headers;
+  }
+
+  getAllHeaders() {
+    return this.headers;
+  }
+}
+
+/**
+ * LiveTransport sends requests to the network through UrlFetchApp.
+ */
+class LiveTransport {
+  fetch(url, options = {}) {
+    return UrlFetchApp.fetch(url, options);
+  }
+}
+
+/**
+ * FixtureTransport answers requests from recorded responses, without any network access.
+ */
+class FixtureTransport {
+  /**
+   * @param {Object<string, Object|Array<Object>>} fixtures The responses by fixture key.
+   */
+  constructor(fixtures) {
+    this.fixtures = fixtures;
+    this.calls = {};  // How often each fixture was used in this execution, to step through sequences
+  }
+
+  /**
+   * Answers a request from the fixtures. Requests without a fixture get a 404 response.
+   * @param {string} url The request URL.
+   * @param {Object} [options={}] The UrlFetchApp options (only `method` is used).
+   * @returns {FixtureResponse} The recorded response.
+   */
+  fetch(url, options = {}) {
+    const key = findFixtureKey(this.fixtures, getFixtureKey(url, options.method));
+    if (!key) {
+      Logger.log(`No fixture for ${getFixtureKey(url, options.method)}.`);
+      return new FixtureResponse({
+        status: 404,
+        body: { code: 'FixtureNotFound', message: `No fixture is recorded for ${getFixtureKey(url, options.method)}.` }
+      });
+    }
+
+    const fixture = this.fixtures[key];
+    const responses = Array.isArray(fixture) ? fixture : [fixture];
+    const call = this.calls[key] || 0;
+    this.calls[key] = call + 1;
+
+    Logger.log(`Replaying fixture ${key} (${call + 1}).`);
+    return new FixtureResponse(responses[Math.min(call, responses.length - 1)]);
+  }
+}
+
+/**
+ * RecordingTransport sends requests to the network and saves each response as a fixture.
+ * While a fetch job runs (see `holdRecordedResponses`), responses are kept in memory and
+ * saved together when it ends, so a paged fetch rewrites the Drive file once, not per page.
+ */
+class RecordingTransport {
+  /**
+   * @param {Object} transport The transport sending the requests (usually a LiveTransport).
+   */
+  constructor(transport) {
+    this.transport = transport;
+    this.recorded = {};  // The responses recorded in this execution, by fixture key
+    this.unsaved = [];   // The keys recorded since the last save
+    this.holds = 0;      // The number of fetch jobs holding the save back
+  }
+
+  /**
+   * Sends a request and records its response, with secrets redacted.
+   * Several responses for the same key in one execution (e.g. a 429 and its retry) are
+   * recorded as a sequence.
+   * @param {string} url The request URL.
+   * @param {Object} [options={}] The UrlFetchApp options.
+   * @returns {GoogleAppsScript.URL_Fetch.HTTPResponse} The live response.
+   */
+  fetch(url, options = {}) {
+    const response = this.transport.fetch(url, options);
+    const key = getFixtureKey(url, options.method);
+
+    try {
+      this.recorded[key] = (this.recorded[key] || []).concat([redactResponse(response)]);
+      if (!this.unsaved.includes(key)) {
+        this.unsaved.push(key);
+      }
+      if (this.holds === 0) {
+        this.save();
+      }
+    } catch (error) {
+      // Recording must never break the request itself
+      Logger.log(`Could not record ${key}: ${error.message}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Holds back saving until the matching `release`.
+   */
+  hold() {
+    this.holds++;
+  }
+
+  /**
+   * Ends a hold and saves the responses recorded during it once no hold is left.
+   */
+  release() {
+    this.holds = Math.max(this.holds - 1, 0);
+    if (this.holds === 0) {
+      this.save();
+    }
+  }
+
+  /**
+   * Saves the responses recorded since the last save to the user's Drive in one write.
+   */
+  save() {
+    if (this.unsaved.length === 0) {
+      return;
+    }
+
+    try {
+      saveRecordedFixtures(this.unsaved.reduce((fixtures, key) => {
+        fixtures[key] = this.recorded[key].length === 1 ? this.recorded[key][0] : this.recorded[key];
+        return fixtures;
+      }, {}));
+    } catch (error) {
+      Logger.log(`Could not save the recorded responses: ${error.message}`);
+    }
+    this.unsaved = [];
+  }
+}
+
+// The transport of each mode, created once per execution (see getHttpTransport)
+const httpTransports = {};
+
+/**
+ * Gets the transport for the mode chosen by the user.
+ *
+ * @returns {{fetch: function(string, Object): Object}} The transport.
+ */
+function getHttpTransport() {
+  const mode = getHttpTransportMode();
+  if (!httpTransports[mode]) {
+    if (mode === HTTP_TRANSPORT_MODES.FIXTURES) {
+      httpTransports[mode] = new FixtureTransport(Object.assign({}, HTTP_FIXTURES, loadRecordedFixtures()));
+    } else if (mode === HTTP_TRANSPORT_MODES.RECORD) {
+      httpTransports[mode] = new RecordingTransport(new LiveTransport());
+    } else {
+      httpTransports[mode] = new LiveTransport();
+    }
+  }
+  return httpTransports[mode];
+}
+
+/**
+ * Gets the transport mode chosen by the user.
+ *
+ * @returns {string} One of HTTP_TRANSPORT_MODES ('live' unless another mode was chosen).
+ */
+function getHttpTransportMode() {
+  const mode = PropertiesService.getUserProperties().getProperty(HTTP_TRANSPORT_PROPERTY);
+  return Object.values(HTTP_TRANSPORT_MODES).includes(mode) ? mode : HTTP_TRANSPORT_MODES.LIVE;
+}
+
+/**
+ * Chooses the transport mode of the user.
+ *
+ * @param {string} mode - One of HTTP_TRANSPORT_MODES.
+ * @throws {ValidationError} If the mode is unknown.
+ */
+function setHttpTransportMode(mode) {
+  if (!Object.values(HTTP_TRANSPORT_MODES).includes(mode)) {
+    throw new ValidationError(`Unknown HTTP transport "${mode}".`);
+  }
+  PropertiesService.getUserProperties().setProperty(HTTP_TRANSPORT_PROPERTY, mode);
+}
+
+/**
+ * Sends requests to Trading212 again. Used by the "Setup > HTTP Transport" menu.
+ */
+function useLiveTransport() {
+  setHttpTransportMode(HTTP_TRANSPORT_MODES.LIVE);
+  SpreadsheetApp.getUi().alert('Requests now go to Trading212.');
+}
+
+/**
+ * Answers requests from recorded fixtures, offline. Used by the "Setup > HTTP Transport" menu.
+ */
+function useFixtureTransport() {
+  setHttpTransportMode(HTTP_TRANSPORT_MODES.FIXTURES);
+  SpreadsheetApp.getUi().alert('Offline mode: requests are answered from recorded fixtures and nothing is sent to Trading212.\n' +
+    'Any API key is accepted by the setup, and orders are never placed.');
+}
+
+/**
+ * Records live responses as fixtures. Used by the "Setup > HTTP Transport" menu.
+ */
+function useRecordingTransport() {
+  setHttpTransportMode(HTTP_TRANSPORT_MODES.RECORD);
+  SpreadsheetApp.getUi().alert(`Requests go to Trading212 and their responses are saved, with secrets redacted, to "${RECORDED_FIXTURES_FILE_NAME}" in your Drive.\n` +
+    'They are replayed in offline mode.');
+}
+
+/**
+ * Builds the fixture key of a request: the method, and the API path with its query string,
+ * or the full URL without its query string for URLs outside the API.
+ *
+ * @param {string} url - The request URL.
+ * @param {string} [method='GET'] - The HTTP method.
+ * @returns {string} The fixture key (e.g. 'GET equity/portfolio').
+ */
+function getFixtureKey(url, method = 'GET') {
+  const apiIndex = url.indexOf(API_VERSION);
+  const target = apiIndex !== -1 ? url.slice(apiIndex + API_VERSION.length) : url.split('?')[0];
+  return `${String(method).toUpperCase()} ${target}`;
+}
+
+/**
+ * Finds the fixture answering a request: the exact key first, then the key without its
+ * query string, then a key with placeholders (e.g. 'GET equity/pies/{id}').
+ *
+ * @param {Object<string, *>} fixtures - The fixtures by key.
+ * @param {string} key - The fixture key of the request.
+ * @returns {string|null} The matching fixture key, or null if there is none.
+ */
+function findFixtureKey(fixtures, key) {
+  if (fixtures[key]) {
+    return key;
+  }
+
+  const withoutQuery = key.split('?')[0];
+  if (fixtures[withoutQuery]) {
+    return withoutQuery;
+  }
+
+  return Object.keys(fixtures).find(candidate => {
+    if (!candidate.includes('{')) {
+      return false;
+    }
+    const pattern = candidate.split(/\{\w+\}/).map(part => part.replace(/[.*+?^$()|[\]\\]/g, '\\$&')).join('[^/?]+');
+    return new RegExp(`^${pattern}$`).test(withoutQuery);
+  }) || null;
+}
+
+/**
+ * Converts a live response into a fixture with its secrets redacted: credential headers and
+ * fields (see REDACTED_FIELD_PATTERN) are replaced, and URLs lose their query strings, which
+ * hold the signatures of pre-signed download links.
+ *
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response - The live response.
+ * @returns {{status: number, headers: Object, body: *}} The fixture.
+ */
+function redactResponse(response) {
+  const headers = {};
+  Object.entries(response.getHeaders()).forEach(([name, value]) => {
+    headers[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value;
+  });
+
+  const text = response.getContentText();
+  let body;
+  try {
+    body = text ? redactValue(JSON.parse(text)) : '';
+  } catch (error) {
+    body = text;  // Not JSON (e.g. a CSV export)
+  }
+
+  return { status: response.getResponseCode(), headers: headers, body: body };
+}
+
+/**
+ * Recursively redacts the secrets of a parsed JSON value (see `redactResponse`).
+ *
+ * @param {*} value - The value to redact.
+ * @returns {*} The redacted copy.
+ */
+function redactValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = REDACTED_FIELD_PATTERN.test(key) ? '[REDACTED]' : redactValue(value[key]);
+    });
+    return copy;
+  }
+  if (typeof value === 'string' && /^https?:\/\/[^?]+\?/.test(value)) {
+    return value.split('?')[0];
+  }
+  return value;
+}
+
+/**
+ * Reads the responses recorded in the user's Drive.
+ *
+ * @returns {Object<string, Object|Array<Object>>} The recorded fixtures by key, or an empty object.
+ */
+function loadRecordedFixtures() {
+  const file = getRecordedFixturesFile(false);
+  if (!file) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(file.getBlob().getDataAsString()) || {};
+  } catch (error) {
+    Logger.log(`Could not read "${RECORDED_FIXTURES_FILE_NAME}": ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Saves recorded fixtures to the user's Drive, replacing earlier recordings of the same keys.
+ *
+ * @param {Object<string, Object|Array<Object>>} recorded - The recorded responses or sequences
+ *   of responses, by fixture key.
+ */
+function saveRecordedFixtures(recorded) {
+  const fixtures = Object.assign(loadRecordedFixtures(), recorded);
+  getRecordedFixturesFile(true).setContent(JSON.stringify(fixtures, null, 2));
+}
+
+/**
+ * Keeps the responses recorded from now on in memory until `releaseRecordedResponses` is called.
+ * Fetch jobs call it so their pages are saved in one write. Does nothing unless recording.
+ */
+function holdRecordedResponses() {
+  const transport = getHttpTransport();
+  if (transport instanceof RecordingTransport) {
+    transport.hold();
+  }
+}
+
+/**
+ * Ends a hold started by `holdRecordedResponses` and saves the responses recorded during it.
+ * Does nothing unless recording.
+ */
+function releaseRecordedResponses() {
+  const transport = getHttpTransport();
+  if (transport instanceof RecordingTransport) {
+    transport.release();
+  }
+}
+
+/**
+ * Finds the Drive file holding recorded responses.
+ *
+ * @param {boolean} create - Whether to create the file if it does not exist.
+ * @returns {GoogleAppsScript.Drive.File|null} The file, or null if it does not exist and was not created.
+ */
+function getRecordedFixturesFile(create) {
+  const files = DriveApp.getFilesByName(RECORDED_FIXTURES_FILE_NAME);
+  if (files.hasNext()) {
+    return files.next();
+  }
+  return create ? DriveApp.createFile(RECORDED_FIXTURES_FILE_NAME, '{}', MimeType.PLAIN_TEXT) : null;
+}
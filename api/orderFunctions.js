@@ -0,0 +1,419 @@
+/**
+ * ===================== Order Functions =========================
+ *
+ * This section contains the functions that place and cancel equity orders.
+ * Orders are written as tickets, one per row of the "Order Tickets" sheet (or entered
+ * in the order ticket dialog), and only submitted after the user confirms a summary
+ * showing the ticker, quantity and estimated value of every order.
+ *
+ * Orders are never submitted for a live profile unless live trading has been enabled
+ * for it (see `assertTradingAllowed()`). The outcome of every submission (order ID,
+ * status or error) is written back next to its ticket.
+ *
+ * Functions in this section include:
+ * - `submitOrderTickets`: Submits the checked tickets of the active profile's sheet.
+ * - `previewOrderTicket` / `submitOrderTicket`: Used by the order ticket dialog.
+ * - `placeOrder` / `cancelOrder`: Call the order endpoints for a single ticket.
+ */
+
+// Columns of the "Order Tickets" sheet; tickets are read by header name, so columns may be moved
+const ORDER_TICKET_HEADERS = [
+  'Ticker', 'Side', 'Type', 'Quantity', 'Limit Price', 'Stop Price', 'Time Validity', 'Est. Price',
+  'Submit', 'Order ID', 'Status', 'Error', 'Submitted At'
+];
+
+// Ticket types and the resource placing them; CANCEL cancels the pending order in "Order ID"
+const ORDER_TICKET_TYPES = {
+  MARKET: 'ORDER_MARKET',
+  LIMIT: 'ORDER_LIMIT',
+  STOP: 'ORDER_STOP',
+  STOP_LIMIT: 'ORDER_STOP_LIMIT',
+  CANCEL: 'ORDER_CANCEL'
+};
+
+const ORDER_SIDES = ['BUY', 'SELL'];
+const ORDER_TIME_VALIDITIES = ['DAY', 'GOOD_TILL_CANCEL'];
+
+/**
+ * ===================== Order Tickets Sheet =========================
+ */
+
+/**
+ * Submits every ticket on the active profile's "Order Tickets" sheet whose "Submit" box is
+ * checked and that has no status yet. Invalid tickets are marked without being submitted.
+ * Creates the sheet (with input validation) when it does not exist yet.
+ */
+function submitOrderTickets() {
+  const ui = SpreadsheetApp.getUi();
+  const profile = resolveProfile();
+  const sheetName = getProfileSheetName(API_RESOURCES.ORDER_MARKET.sheetName, profile);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+
+  if (!sheet) {
+    setupOrderTicketsSheet(sheetName);
+    ui.alert(`Created the "${sheetName}" sheet. Fill in your tickets, check "Submit" and run this action again.`);
+    return;
+  }
+
+  const entries = readOrderTickets(sheet).filter(entry => entry.ticket.submit && !entry.ticket.status);
+  if (entries.length === 0) {
+    ui.alert(`No tickets to submit. Check "Submit" on the rows of "${sheetName}" that have no status yet.`);
+    return;
+  }
+
+  try {
+    assertTradingAllowed(profile);
+  } catch (error) {
+    ui.alert(error.message);
+    return;
+  }
+
+  // Invalid tickets are marked straight away and left out of the confirmation
+  const valid = [];
+  entries.forEach(entry => {
+    try {
+      validateOrderTicket(entry.ticket);
+      valid.push(entry);
+    } catch (error) {
+      writeOrderTicketResult(sheet, entry.row, { status: 'INVALID', error: error.message });
+    }
+  });
+
+  if (valid.length === 0) {
+    ui.alert('None of the checked tickets is valid. See the "Error" column for details.');
+    return;
+  }
+
+  const summary = valid.map(entry => describeOrderTicket(withEstimatedPrice(entry.ticket, profile))).join('\n');
+  const confirmation = ui.alert(
+    `Submit ${valid.length} order(s) for "${profile.name}" (${profile.environment})?`,
+    summary,
+    ui.ButtonSet.YES_NO
+  );
+  if (confirmation !== ui.Button.YES) {
+    return;
+  }
+
+  let failed = 0;
+  valid.forEach(entry => {
+    const result = submitValidatedTicket(entry.ticket, profile);
+    if (result.status === 'FAILED') {
+      failed++;
+    }
+    writeOrderTicketResult(sheet, entry.row, result);
+  });
+
+  ui.alert(`Submitted ${valid.length - failed} of ${valid.length} order(s). See "${sheetName}" for the results.`);
+}
+
+/**
+ * Creates the "Order Tickets" sheet with its headers, drop-downs and checkboxes.
+ *
+ * @param {string} sheetName - The name of the tickets sheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The new sheet.
+ */
+function setupOrderTicketsSheet(sheetName) {
+  const sheet = getOrCreateSheet(sheetName);
+  clearSheetAndWriteHeaders(sheet, ORDER_TICKET_HEADERS);
+  sheet.setFrozenRows(1);
+
+  const rows = sheet.getMaxRows() - 1;
+  const column = header => ORDER_TICKET_HEADERS.indexOf(header) + 1;
+  const listRule = values => SpreadsheetApp.newDataValidation().requireValueInList(values, true).build();
+
+  sheet.getRange(2, column('Side'), rows, 1).setDataValidation(listRule(ORDER_SIDES));
+  sheet.getRange(2, column('Type'), rows, 1).setDataValidation(listRule(Object.keys(ORDER_TICKET_TYPES)));
+  sheet.getRange(2, column('Time Validity'), rows, 1).setDataValidation(listRule(ORDER_TIME_VALIDITIES));
+  sheet.getRange(2, column('Submit'), rows, 1).insertCheckboxes();
+
+  return sheet;
+}
+
+/**
+ * Reads the tickets of an "Order Tickets" sheet.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The tickets sheet.
+ * @returns {Array<{row: number, ticket: Object}>} The tickets with their row numbers.
+ */
+function readOrderTickets(sheet) {
+  if (sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0];
+  const cell = (row, header) => {
+    const index = headers.indexOf(header);
+    return index === -1 ? '' : row[index];
+  };
+
+  return values.slice(1)
+    .map((row, index) => ({
+      row: index + 2,
+      ticket: {
+        ticker: String(cell(row, 'Ticker')).trim(),
+        side: String(cell(row, 'Side')).trim().toUpperCase(),
+        type: String(cell(row, 'Type')).trim().toUpperCase(),
+        quantity: cell(row, 'Quantity'),
+        limitPrice: cell(row, 'Limit Price'),
+        stopPrice: cell(row, 'Stop Price'),
+        timeValidity: String(cell(row, 'Time Validity')).trim().toUpperCase(),
+        estimatedPrice: cell(row, 'Est. Price'),
+        submit: cell(row, 'Submit') === true,
+        orderId: cell(row, 'Order ID'),
+        status: String(cell(row, 'Status')).trim()
+      }
+    }))
+    .filter(entry => entry.ticket.ticker || entry.ticket.orderId);
+}
+
+/**
+ * Writes the outcome of a ticket next to it and clears its "Submit" box.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The tickets sheet.
+ * @param {number} row - The row of the ticket.
+ * @param {Object} result - The outcome ({ orderId, status, error }).
+ */
+function writeOrderTicketResult(sheet, row, result) {
+  const headers = getSheetHeaders(sheet);
+  const write = (header, value) => {
+    const index = headers.indexOf(header);
+    if (index !== -1 && value !== undefined) {
+      sheet.getRange(row, index + 1).setValue(value);
+    }
+  };
+
+  write('Order ID', result.orderId);
+  write('Status', result.status);
+  write('Error', result.error || '');
+  write('Submitted At', result.status === 'INVALID' ? '' : new Date());
+  write('Submit', false);
+}
+
+/**
+ * ===================== Order Ticket Dialog =========================
+ */
+
+/**
+ * Validates a ticket entered in the order ticket dialog and describes it for confirmation.
+ * Nothing is submitted.
+ *
+ * @param {Object} ticket - The ticket (see `readOrderTickets` for its fields).
+ * @returns {Object} { status: 'ready', summary, profileName, environment }, or
+ *   { status: 'failed', error } with the serialized error.
+ */
+function previewOrderTicket(ticket) {
+  try {
+    const profile = resolveProfile();
+    assertTradingAllowed(profile);
+    validateOrderTicket(ticket);
+    return {
+      status: 'ready',
+      summary: describeOrderTicket(withEstimatedPrice(ticket, profile)),
+      profileName: profile.name,
+      environment: profile.environment
+    };
+  } catch (error) {
+    return { status: 'failed', error: serializeError(error) };
+  }
+}
+
+/**
+ * Submits a ticket confirmed in the order ticket dialog for the active profile and records it,
+ * with its outcome, as a new row of the "Order Tickets" sheet.
+ *
+ * @param {Object} ticket - The ticket (see `readOrderTickets` for its fields).
+ * @returns {Object} { status, orderId, sheetName }, or { status: 'failed', error } if it was not submitted.
+ */
+function submitOrderTicket(ticket) {
+  try {
+    const profile = resolveProfile();
+    assertTradingAllowed(profile);
+    validateOrderTicket(ticket);
+
+    const sheetName = getProfileSheetName(API_RESOURCES.ORDER_MARKET.sheetName, profile);
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName) || setupOrderTicketsSheet(sheetName);
+    const headers = getSheetHeaders(sheet);
+    const values = {
+      'Ticker': ticket.ticker,
+      'Side': ticket.side,
+      'Type': ticket.type,
+      'Quantity': ticket.quantity,
+      'Limit Price': ticket.limitPrice,
+      'Stop Price': ticket.stopPrice,
+      'Time Validity': ticket.timeValidity,
+      'Est. Price': ticket.estimatedPrice,
+      'Order ID': ticket.orderId
+    };
+    sheet.appendRow(headers.map(header => (values[header] !== undefined ? values[header] : '')));
+
+    const result = submitValidatedTicket(ticket, profile);
+    writeOrderTicketResult(sheet, sheet.getLastRow(), result);
+
+    if (result.status === 'FAILED') {
+      return { status: 'failed', error: { message: result.error } };
+    }
+    return { status: result.status, orderId: result.orderId, sheetName: sheetName };
+  } catch (error) {
+    return { status: 'failed', error: serializeError(error) };
+  }
+}
+
+/**
+ * ===================== Order Requests =========================
+ */
+
+/**
+ * Checks that a ticket has everything its order type needs.
+ *
+ * @param {Object} ticket - The ticket.
+ * @throws {ValidationError} Describing the first problem found.
+ */
+function validateOrderTicket(ticket) {
+  if (!ORDER_TICKET_TYPES[ticket.type]) {
+    throw new ValidationError(`Unknown order type "${ticket.type}". Use one of ${Object.keys(ORDER_TICKET_TYPES).join(', ')}.`);
+  }
+
+  if (ticket.type === 'CANCEL') {
+    if (!/^\d+$/.test(String(ticket.orderId).trim())) {
+      throw new ValidationError('Enter the ID of the pending order to cancel in "Order ID".');
+    }
+    return;
+  }
+
+  if (!ticket.ticker) {
+    throw new ValidationError('The ticker is missing (e.g. AAPL_US_EQ).');
+  }
+  if (ORDER_SIDES.indexOf(ticket.side) === -1) {
+    throw new ValidationError(`Unknown side "${ticket.side}". Use BUY or SELL.`);
+  }
+  if (!(Number(ticket.quantity) > 0)) {
+    throw new ValidationError('The quantity must be a positive number.');
+  }
+  if ((ticket.type === 'LIMIT' || ticket.type === 'STOP_LIMIT') && !(Number(ticket.limitPrice) > 0)) {
+    throw new ValidationError(`A ${ticket.type} order needs a positive limit price.`);
+  }
+  if ((ticket.type === 'STOP' || ticket.type === 'STOP_LIMIT') && !(Number(ticket.stopPrice) > 0)) {
+    throw new ValidationError(`A ${ticket.type} order needs a positive stop price.`);
+  }
+  if (ticket.type !== 'MARKET' && ticket.timeValidity && ORDER_TIME_VALIDITIES.indexOf(ticket.timeValidity) === -1) {
+    throw new ValidationError(`Unknown time validity "${ticket.timeValidity}". Use DAY or GOOD_TILL_CANCEL.`);
+  }
+}
+
+/**
+ * Describes a ticket in one line for the confirmation dialog, including its estimated value.
+ * The value uses the limit price, then the stop price, then the "Est. Price" of the ticket
+ * (see `withEstimatedPrice`); market orders without any price show it as unknown.
+ *
+ * @param {Object} ticket - A validated ticket.
+ * @returns {string} E.g. "BUY 10 AAPL_US_EQ LIMIT @ 150 (≈ 1500.00)".
+ */
+function describeOrderTicket(ticket) {
+  if (ticket.type === 'CANCEL') {
+    return `CANCEL order ${ticket.orderId}`;
+  }
+
+  const price = Number(ticket.limitPrice) || Number(ticket.stopPrice) || Number(ticket.estimatedPrice);
+  const estimate = price ? `≈ ${(Number(ticket.quantity) * price).toFixed(2)}` : 'value unknown';
+  const limit = ticket.limitPrice ? ` @ ${ticket.limitPrice}` : '';
+  const stop = ticket.stopPrice ? ` stop ${ticket.stopPrice}` : '';
+
+  return `${ticket.side} ${ticket.quantity} ${ticket.ticker} ${ticket.type}${limit}${stop} (${estimate})`;
+}
+
+/**
+ * Completes a market ticket without an "Est. Price" with the current price of the position,
+ * if the profile holds one. Lookup failures only leave the estimate unknown.
+ *
+ * @param {Object} ticket - A validated ticket.
+ * @param {Object} profile - The account profile to trade for.
+ * @returns {Object} The ticket, or a copy with `estimatedPrice` set.
+ */
+function withEstimatedPrice(ticket, profile) {
+  if (ticket.type !== 'MARKET' || Number(ticket.estimatedPrice) > 0) {
+    return ticket;
+  }
+
+  try {
+    const position = getPositionByTicker(ticket.ticker, profile);
+    return position ? Object.assign({}, ticket, { estimatedPrice: position.currentPrice }) : ticket;
+  } catch (error) {
+    Logger.log(`Could not look up the price of ${ticket.ticker}: ${error.message}`);
+    return ticket;
+  }
+}
+
+/**
+ * Submits a validated ticket and turns the response or error into the ticket's outcome.
+ *
+ * @param {Object} ticket - A validated ticket.
+ * @param {Object} profile - The account profile to trade for.
+ * @returns {Object} The outcome ({ orderId, status, error }); failures have status 'FAILED'.
+ */
+function submitValidatedTicket(ticket, profile) {
+  try {
+    if (ticket.type === 'CANCEL') {
+      cancelOrder(ticket.orderId, profile);
+      return { orderId: ticket.orderId, status: 'CANCEL REQUESTED', error: '' };
+    }
+
+    const order = placeOrder(ticket, profile);
+    return { orderId: order.id, status: order.status || 'SUBMITTED', error: '' };
+  } catch (error) {
+    Logger.log(`Order ticket for ${ticket.ticker || ticket.orderId} failed: ${error.message}`);
+    return { status: 'FAILED', error: error.message };
+  }
+}
+
+/**
+ * Places an order for a validated ticket. Sell orders are sent with a negative quantity.
+ *
+ * @param {Object} ticket - A validated MARKET, LIMIT, STOP or STOP_LIMIT ticket.
+ * @param {Object} [profile] - The account profile to trade for (defaults to the active profile).
+ * @returns {Object} The order created by Trading212 ({ id, status, ... }).
+ * @throws {TradingDisabledError} If the profile may not trade.
+ * @throws {Trading212ApiError} If Trading212 rejects the order.
+ */
+function placeOrder(ticket, profile = resolveProfile()) {
+  assertTradingAllowed(profile);
+
+  const resource = API_RESOURCES[ORDER_TICKET_TYPES[ticket.type]];
+  const payload = {
+    ticker: ticket.ticker,
+    quantity: ticket.side === 'SELL' ? -Math.abs(Number(ticket.quantity)) : Math.abs(Number(ticket.quantity))
+  };
+  if (ticket.type === 'LIMIT' || ticket.type === 'STOP_LIMIT') {
+    payload.limitPrice = Number(ticket.limitPrice);
+  }
+  if (ticket.type === 'STOP' || ticket.type === 'STOP_LIMIT') {
+    payload.stopPrice = Number(ticket.stopPrice);
+  }
+  if (ticket.type !== 'MARKET') {
+    payload.timeValidity = ticket.timeValidity || 'DAY';
+  }
+
+  Logger.log(`Placing ${ticket.type} order for ${profile.name}: ${JSON.stringify(payload)}`);
+  return rateLimitedRequest(constructApiUrl(resource.endpoint, {}, false, profile), getRateLimitKey(resource), profile, {
+    method: resource.method,
+    payload: payload
+  });
+}
+
+/**
+ * Cancels a pending order.
+ *
+ * @param {number|string} orderId - The ID of the pending order.
+ * @param {Object} [profile] - The account profile the order belongs to (defaults to the active profile).
+ * @throws {TradingDisabledError} If the profile may not trade.
+ * @throws {Trading212ApiError} If Trading212 rejects the cancellation.
+ */
+function cancelOrder(orderId, profile = resolveProfile()) {
+  assertTradingAllowed(profile);
+
+  const resource = API_RESOURCES.ORDER_CANCEL;
+  Logger.log(`Cancelling order ${orderId} for ${profile.name}`);
+  rateLimitedRequest(constructApiUrl(resource.endpoint, { id: String(orderId).trim() }, false, profile), getRateLimitKey(resource), profile, {
+    method: resource.method
+  });
+}
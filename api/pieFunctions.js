@@ -0,0 +1,497 @@
+/**
+ * ===================== Pie Management Functions =========================
+ *
+ * This section contains the functions that create, update and delete pies from the
+ * "Pie Definitions" sheet, so pie targets can be changed in bulk instead of one by
+ * one in the app.
+ *
+ * Each row of the sheet is one instrument of a pie. The rows of a pie share its
+ * "Pie ID" (or, for a pie that does not exist yet, its "Name"); the pie's settings are
+ * read from its first row that has them. Only pies with an "Action" are sent.
+ *
+ * Before anything is sent, every definition is checked (target shares must sum to 100%)
+ * and a preview of the differences with the pies on the server must be confirmed.
+ * Like orders, pies of a live profile can only be changed when live trading is enabled.
+ *
+ * Functions in this section include:
+ * - `loadPieDefinitions`: Fills the sheet with the pies currently on the server.
+ * - `pushPieDefinitions`: Previews and sends the pending actions of the sheet.
+ */
+
+// Columns of the "Pie Definitions" sheet; definitions are read by header name
+const PIE_DEFINITION_HEADERS = [
+  'Pie ID', 'Name', 'Goal', 'Dividend Cash Action', 'Icon', 'End Date', 'Ticker', 'Target Share', 'Action', 'Status'
+];
+
+const PIE_ACTIONS = ['CREATE', 'UPDATE', 'DELETE'];
+const PIE_DIVIDEND_CASH_ACTIONS = ['REINVEST', 'TO_ACCOUNT_CASH'];
+
+// Target shares may be off by rounding, but not by more than this (0.005%)
+const PIE_SHARE_TOLERANCE = 0.00005;
+
+// Target shares are sent as fractions with this many decimals, the precision the app accepts
+const PIE_SHARE_DECIMALS = 4;
+
+// Time of day (UTC) sent with a pie's end date, so the chosen day is kept in every time zone
+const PIE_END_DATE_TIME = 'T23:59:59Z';
+
+/**
+ * ===================== Pie Definitions Sheet =========================
+ */
+
+/**
+ * Fills the active profile's "Pie Definitions" sheet with the pies currently on the server,
+ * as a starting point for editing them. Existing definitions on the sheet are replaced.
+ */
+function loadPieDefinitions() {
+  const ui = SpreadsheetApp.getUi();
+  const profile = resolveProfile();
+  const deadline = EXECUTION_STARTED_AT + EXECUTION_TIME_BUDGET_MS;
+  const sheetName = getProfileSheetName(API_RESOURCES.PIE_CREATE.sheetName, profile);
+
+  const confirmation = ui.alert('Load Pie Definitions',
+    `This replaces the content of "${sheetName}" with the pies of "${profile.name}". Continue?`, ui.ButtonSet.YES_NO);
+  if (confirmation !== ui.Button.YES) {
+    return;
+  }
+
+  const pies = rateLimitedRequest(constructApiUrl(API_RESOURCES.PIES.endpoint, {}, false, profile), API_RESOURCES.PIES.endpoint, profile) || [];
+  const rows = [];
+  for (const pie of pies) {
+    if (getPauseDelay(API_RESOURCES.PIE.endpoint, deadline, profile) !== null) {
+      ui.alert('Ran out of time while loading the pies; the sheet was not changed. Please try again.');
+      return;
+    }
+
+    updateProgress(`Loading pie ${pie.id} ...`);
+    const details = fetchPieDetails(pie.id, profile);
+    const settings = details.settings || {};
+    // A pie without instruments still gets one row so its settings are listed
+    const instruments = details.instruments && details.instruments.length > 0 ? details.instruments : [{}];
+    instruments.forEach((instrument, index) => {
+      const isFirst = index === 0;
+      rows.push([
+        pie.id,
+        settings.name || '',
+        isFirst ? (settings.goal || '') : '',
+        isFirst ? (settings.dividendCashAction || '') : '',
+        isFirst ? (settings.icon || '') : '',
+        isFirst && settings.endDate ? parsePieDate(settings.endDate) : '',
+        instrument.ticker || '',
+        instrument.expectedShare !== undefined ? instrument.expectedShare : '',
+        '',
+        ''
+      ]);
+    });
+  }
+
+  const sheet = setupPieDefinitionsSheet(sheetName);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, PIE_DEFINITION_HEADERS.length).setValues(rows);
+  }
+  ui.alert(`Loaded ${pies.length} pie(s) into "${sheetName}". Set an "Action" on the pies to change, then push them.`);
+}
+
+/**
+ * Creates (or clears) the "Pie Definitions" sheet with its headers, drop-downs and formats.
+ *
+ * @param {string} sheetName - The name of the definitions sheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet.
+ */
+function setupPieDefinitionsSheet(sheetName) {
+  const sheet = getOrCreateSheet(sheetName);
+  clearSheetAndWriteHeaders(sheet, PIE_DEFINITION_HEADERS);
+  sheet.setFrozenRows(1);
+
+  const rows = sheet.getMaxRows() - 1;
+  const column = header => PIE_DEFINITION_HEADERS.indexOf(header) + 1;
+  const listRule = values => SpreadsheetApp.newDataValidation().requireValueInList(values, true).build();
+
+  sheet.getRange(2, column('Dividend Cash Action'), rows, 1).setDataValidation(listRule(PIE_DIVIDEND_CASH_ACTIONS));
+  sheet.getRange(2, column('Action'), rows, 1).setDataValidation(listRule(PIE_ACTIONS));
+  sheet.getRange(2, column('Target Share'), rows, 1).setNumberFormat('0.00%');
+  sheet.getRange(2, column('End Date'), rows, 1).setNumberFormat('yyyy-mm-dd');
+
+  return sheet;
+}
+
+/**
+ * Reads the pie definitions of a "Pie Definitions" sheet, grouping the instrument rows by pie.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The definitions sheet.
+ * @returns {Array<Object>} The definitions ({ pieId, name, goal, dividendCashAction, icon, endDate,
+ *   action, instrumentShares, rows }).
+ */
+function readPieDefinitions(sheet) {
+  if (sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0];
+  const cell = (row, header) => {
+    const index = headers.indexOf(header);
+    return index === -1 ? '' : row[index];
+  };
+
+  const definitions = {};
+  const order = [];
+  values.slice(1).forEach((row, index) => {
+    const pieId = String(cell(row, 'Pie ID')).trim();
+    const name = String(cell(row, 'Name')).trim();
+    const key = pieId ? `id:${pieId}` : `name:${name}`;
+    if (!pieId && !name) {
+      return;
+    }
+
+    if (!definitions[key]) {
+      definitions[key] = { pieId: pieId, name: name, goal: '', dividendCashAction: '', icon: '', endDate: '', action: '', instrumentShares: {}, rows: [] };
+      order.push(key);
+    }
+
+    // Settings and the action may be on any row of the pie; the first value wins
+    const definition = definitions[key];
+    definition.name = definition.name || name;
+    definition.goal = definition.goal || cell(row, 'Goal');
+    definition.dividendCashAction = definition.dividendCashAction || String(cell(row, 'Dividend Cash Action')).trim().toUpperCase();
+    definition.icon = definition.icon || String(cell(row, 'Icon')).trim();
+    definition.endDate = definition.endDate || cell(row, 'End Date');
+    definition.action = definition.action || String(cell(row, 'Action')).trim().toUpperCase();
+    definition.rows.push(index + 2);
+
+    const ticker = String(cell(row, 'Ticker')).trim();
+    if (ticker) {
+      definition.instrumentShares[ticker] = (definition.instrumentShares[ticker] || 0) + Number(cell(row, 'Target Share'));
+    }
+  });
+
+  return order.map(key => {
+    const definition = definitions[key];
+    definition.instrumentShares = roundInstrumentShares(definition.instrumentShares);
+    return definition;
+  });
+}
+
+/**
+ * Rounds target shares to the precision sent to Trading212. When the shares add up to 100%
+ * (within PIE_SHARE_TOLERANCE), the rounding residual goes to the largest share so the rounded
+ * shares add up to exactly 100%, e.g. three shares of 1/3 become 0.3334, 0.3333 and 0.3333.
+ * Other sums are left as they are, for validation to report.
+ *
+ * @param {Object<string, number>} instrumentShares - The target shares by ticker.
+ * @returns {Object<string, number>} The rounded shares by ticker.
+ */
+function roundInstrumentShares(instrumentShares) {
+  const scale = Math.pow(10, PIE_SHARE_DECIMALS);
+  const entries = Object.entries(instrumentShares);
+  const total = entries.reduce((sum, [ticker, share]) => sum + share, 0);
+
+  // Work in whole units of the last decimal so the residual is exact
+  const units = {};
+  entries.forEach(([ticker, share]) => {
+    units[ticker] = isNaN(share) ? share : Math.round(share * scale);
+  });
+
+  const valid = entries.length > 0 && entries.every(([ticker, share]) => !isNaN(share) && share > 0);
+  if (valid && Math.abs(total - 1) <= PIE_SHARE_TOLERANCE) {
+    const largest = entries.reduce((best, entry) => entry[1] > best[1] ? entry : best)[0];
+    const unitTotal = Object.values(units).reduce((sum, unit) => sum + unit, 0);
+    units[largest] += scale - unitTotal;
+  }
+
+  const rounded = {};
+  entries.forEach(([ticker]) => {
+    rounded[ticker] = isNaN(units[ticker]) ? units[ticker] : units[ticker] / scale;
+  });
+  return rounded;
+}
+
+/**
+ * Writes the outcome of a pie's action to all of its rows and clears the action when it succeeded.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The definitions sheet.
+ * @param {Object} definition - The pie definition.
+ * @param {Object} result - The outcome ({ status, pieId, succeeded }).
+ */
+function writePieDefinitionResult(sheet, definition, result) {
+  const headers = getSheetHeaders(sheet);
+  const columnOf = header => headers.indexOf(header) + 1;
+
+  definition.rows.forEach(row => {
+    sheet.getRange(row, columnOf('Status')).setValue(result.status);
+    if (result.pieId) {
+      sheet.getRange(row, columnOf('Pie ID')).setValue(result.pieId);
+    }
+    if (result.succeeded) {
+      sheet.getRange(row, columnOf('Action')).setValue('');
+    }
+  });
+}
+
+/**
+ * ===================== Pushing Pie Definitions =========================
+ */
+
+/**
+ * Sends the pending actions of the active profile's "Pie Definitions" sheet. Invalid
+ * definitions are marked without being sent; the others are compared with the pies on the
+ * server and only sent after the preview of the differences is confirmed.
+ */
+function pushPieDefinitions() {
+  const ui = SpreadsheetApp.getUi();
+  const profile = resolveProfile();
+  const sheetName = getProfileSheetName(API_RESOURCES.PIE_CREATE.sheetName, profile);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+
+  if (!sheet) {
+    setupPieDefinitionsSheet(sheetName);
+    ui.alert(`Created the "${sheetName}" sheet. Define your pies (or use "Load Pie Definitions"), set an "Action" and run this action again.`);
+    return;
+  }
+
+  const pending = readPieDefinitions(sheet).filter(definition => definition.action);
+  if (pending.length === 0) {
+    ui.alert(`No pie has an "Action" on "${sheetName}".`);
+    return;
+  }
+
+  try {
+    assertTradingAllowed(profile);
+  } catch (error) {
+    ui.alert(error.message);
+    return;
+  }
+
+  // Check every definition and compare it with the server before anything is sent
+  const valid = [];
+  const previews = [];
+  pending.forEach(definition => {
+    try {
+      validatePieDefinition(definition);
+      const current = definition.action === 'CREATE' ? null : fetchPieDetails(Number(definition.pieId), profile);
+      previews.push(describePieDiff(definition, current));
+      valid.push(definition);
+    } catch (error) {
+      writePieDefinitionResult(sheet, definition, { status: `INVALID: ${error.message}`, succeeded: false });
+    }
+  });
+
+  if (valid.length === 0) {
+    ui.alert('None of the pending pies is valid. See the "Status" column for details.');
+    return;
+  }
+
+  const confirmation = ui.alert(`Apply ${valid.length} pie change(s) for "${profile.name}" (${profile.environment})?`,
+    previews.join('\n\n'), ui.ButtonSet.YES_NO);
+  if (confirmation !== ui.Button.YES) {
+    return;
+  }
+
+  let failed = 0;
+  valid.forEach(definition => {
+    let result;
+    try {
+      result = applyPieDefinition(definition, profile);
+    } catch (error) {
+      Logger.log(`${definition.action} of pie ${definition.pieId || definition.name} failed: ${error.message}`);
+      result = { status: `FAILED: ${error.message}`, succeeded: false };
+      failed++;
+    }
+    writePieDefinitionResult(sheet, definition, result);
+  });
+
+  ui.alert(`Applied ${valid.length - failed} of ${valid.length} pie change(s). See "${sheetName}" for the results.`);
+}
+
+/**
+ * Checks that a definition can be sent for its action.
+ *
+ * @param {Object} definition - The pie definition.
+ * @throws {ValidationError} Describing the first problem found.
+ */
+function validatePieDefinition(definition) {
+  const label = definition.name || definition.pieId;
+
+  if (PIE_ACTIONS.indexOf(definition.action) === -1) {
+    throw new ValidationError(`Unknown action "${definition.action}". Use ${PIE_ACTIONS.join(', ')}.`);
+  }
+  if (definition.action !== 'CREATE' && !/^\d+$/.test(definition.pieId)) {
+    throw new ValidationError(`${definition.action} needs the "Pie ID" of an existing pie.`);
+  }
+  if (definition.action === 'CREATE' && definition.pieId) {
+    throw new ValidationError(`Pie ${definition.pieId} already exists; use UPDATE instead of CREATE.`);
+  }
+  if (definition.action === 'DELETE') {
+    return;
+  }
+
+  if (!definition.name) {
+    throw new ValidationError('The pie needs a name.');
+  }
+  if (definition.dividendCashAction && PIE_DIVIDEND_CASH_ACTIONS.indexOf(definition.dividendCashAction) === -1) {
+    throw new ValidationError(`Unknown dividend cash action "${definition.dividendCashAction}". Use ${PIE_DIVIDEND_CASH_ACTIONS.join(' or ')}.`);
+  }
+
+  const shares = Object.entries(definition.instrumentShares);
+  if (shares.length === 0) {
+    throw new ValidationError(`"${label}" has no instruments.`);
+  }
+  const invalid = shares.find(([ticker, share]) => isNaN(share) || share <= 0);
+  if (invalid) {
+    throw new ValidationError(`The target share of ${invalid[0]} must be above 0%.`);
+  }
+
+  const total = shares.reduce((sum, [ticker, share]) => sum + share, 0);
+  if (Math.abs(total - 1) > PIE_SHARE_TOLERANCE) {
+    throw new ValidationError(`The target shares of "${label}" sum to ${(total * 100).toFixed(2)}% instead of 100%.`);
+  }
+}
+
+/**
+ * Describes what an action changes compared with the pie on the server.
+ *
+ * @param {Object} definition - A validated pie definition.
+ * @param {Object|null} current - The pie's current details, or null when it is created.
+ * @returns {string} The preview lines for the confirmation dialog.
+ */
+function describePieDiff(definition, current) {
+  if (definition.action === 'CREATE') {
+    const instruments = Object.entries(definition.instrumentShares)
+      .map(([ticker, share]) => `  + ${ticker} ${formatShare(share)}`);
+    return [`CREATE "${definition.name}"`].concat(instruments).join('\n');
+  }
+
+  const settings = current.settings || {};
+  const currentShares = {};
+  (current.instruments || []).forEach(instrument => {
+    currentShares[instrument.ticker] = instrument.expectedShare;
+  });
+
+  if (definition.action === 'DELETE') {
+    return `DELETE "${settings.name || definition.pieId}" (${Object.keys(currentShares).length} instruments)`;
+  }
+
+  const lines = [`UPDATE "${settings.name || definition.pieId}"`];
+  const compare = (label, before, after) => {
+    if (String(before || '') !== String(after || '')) {
+      lines.push(`  ${label}: ${before || '-'} → ${after || '-'}`);
+    }
+  };
+  compare('Name', settings.name, definition.name);
+  compare('Goal', settings.goal, definition.goal);
+  compare('Dividend cash action', settings.dividendCashAction, definition.dividendCashAction);
+  compare('Icon', settings.icon, definition.icon);
+  compare('End date', formatPieDate(settings.endDate), formatPieDate(definition.endDate));
+
+  const tickers = Array.from(new Set(Object.keys(currentShares).concat(Object.keys(definition.instrumentShares))));
+  tickers.forEach(ticker => {
+    const before = currentShares[ticker];
+    const after = definition.instrumentShares[ticker];
+    if (before === undefined) {
+      lines.push(`  + ${ticker} ${formatShare(after)}`);
+    } else if (after === undefined) {
+      lines.push(`  - ${ticker} ${formatShare(before)}`);
+    } else if (Math.abs(before - after) > PIE_SHARE_TOLERANCE) {
+      lines.push(`  ~ ${ticker} ${formatShare(before)} → ${formatShare(after)}`);
+    }
+  });
+
+  if (lines.length === 1) {
+    lines.push('  (no changes)');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Sends a validated, confirmed definition to Trading212.
+ *
+ * @param {Object} definition - The pie definition.
+ * @param {Object} profile - The account profile the pie belongs to.
+ * @returns {Object} The outcome ({ status, pieId, succeeded }).
+ * @throws {TradingDisabledError} If the profile may not trade.
+ * @throws {Trading212ApiError} If Trading212 rejects the change.
+ */
+function applyPieDefinition(definition, profile) {
+  assertTradingAllowed(profile);
+
+  const resource = API_RESOURCES[`PIE_${definition.action}`];
+  const pathParams = definition.action === 'CREATE' ? {} : { id: definition.pieId };
+  const url = constructApiUrl(resource.endpoint, pathParams, false, profile);
+  const request = { method: resource.method };
+  if (definition.action !== 'DELETE') {
+    request.payload = buildPiePayload(definition);
+  }
+
+  Logger.log(`${definition.action} pie ${definition.pieId || definition.name} for ${profile.name}`);
+  const response = rateLimitedRequest(url, getRateLimitKey(resource), profile, request);
+
+  const createdId = definition.action === 'CREATE' && response && response.settings ? response.settings.id : '';
+  return {
+    status: `${definition.action}D`,
+    pieId: createdId,
+    succeeded: true
+  };
+}
+
+/**
+ * Builds the request body for creating or updating a pie.
+ *
+ * @param {Object} definition - A validated pie definition.
+ * @returns {Object} The pie settings and instrument shares.
+ */
+function buildPiePayload(definition) {
+  const payload = {
+    name: definition.name,
+    dividendCashAction: definition.dividendCashAction || 'REINVEST',
+    icon: definition.icon || undefined,
+    goal: definition.goal !== '' ? Number(definition.goal) : undefined,
+    endDate: definition.endDate ? `${formatPieDate(definition.endDate)}${PIE_END_DATE_TIME}` : undefined,
+    instrumentShares: {}
+  };
+
+  // Shares were rounded to the precision the app accepts when they were read (see roundInstrumentShares)
+  Object.entries(definition.instrumentShares).forEach(([ticker, share]) => {
+    payload.instrumentShares[ticker] = share;
+  });
+
+  return payload;
+}
+
+/**
+ * Formats a target share (fraction) as a percentage.
+ *
+ * @param {number} share - The share, e.g. 0.25.
+ * @returns {string} E.g. "25.00%".
+ */
+function formatShare(share) {
+  return `${(Number(share) * 100).toFixed(2)}%`;
+}
+
+/**
+ * Formats a pie end date for comparisons, previews and requests. "End Date" cells are read as
+ * midnight in the spreadsheet's time zone, so they are formatted in that zone to keep their day.
+ *
+ * @param {Date|string} value - The date.
+ * @returns {string} The date as YYYY-MM-DD, or an empty string if there is none.
+ */
+function formatPieDate(value) {
+  if (!value) {
+    return '';
+  }
+  // Dates from the API (and typed text) already name their day
+  if (!(value instanceof Date)) {
+    return /^\d{4}-\d{2}-\d{2}/.test(String(value)) ? String(value).slice(0, 10) : String(value);
+  }
+  return Utilities.formatDate(value, SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Turns a pie date from the API into a sheet date on the same day in the spreadsheet's time zone,
+ * so `formatPieDate` reads back the day the API named.
+ *
+ * @param {string} value - The date from the API (e.g. '2026-12-31T23:59:59Z').
+ * @returns {Date} Midnight of that day in the spreadsheet's time zone.
+ */
+function parsePieDate(value) {
+  return Utilities.parseDate(formatPieDate(value), SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone(), 'yyyy-MM-dd');
+}
@@ -3,6 +3,11 @@
  */
 /**
  * Class representing a rate limiter for API endpoints.
+ *
+ * The sliding window of request timestamps is stored in the script cache rather than
+ * in memory, so every execution (including the parallel `google.script.run` calls made
+ * by the fetch dialog) shares one budget per API key. Reads and writes of the window are
+ * serialized with a script lock.
  */
 class RateLimiter {
   /**
@@ -12,17 +17,21 @@ class RateLimiter {
    */
   constructor(rateLimits) {
     this.rateLimits = rateLimits;
-    this.requestLogs = {}; // Stores timestamps of requests per endpoint
+    this.cache = CacheService.getScriptCache();
+    this.prefix = 'RATE_LIMIT_';
+    this.lockTimeoutMs = 30 * SECOND;
+    this.keyScopes = {}; // Memoized hashes of API keys
   }
 
   /**
    * Checks if a request to the given endpoint can proceed based on the rate limits.
+   * If it can, the request is logged against the shared budget.
    * 
    * @param {string} endpoint - The API endpoint path.
+   * @param {string} [apiKey] - The API key whose budget is used (defaults to the active profile's key).
    * @returns {Object} An object containing a `proceed` boolean and an optional `waitTime`.
    */
-  canProceed(endpoint) {
-    const now = Date.now();
+  canProceed(endpoint, apiKey = getAuthKey()) {
     const rateLimit = this.rateLimits[endpoint];
 
     // If no rate limit is defined for the endpoint, proceed with the request
@@ -30,27 +39,114 @@ class RateLimiter {
       return { proceed: true };
     }
 
-    // Initialize the request log for the endpoint if it doesn't exist
-    if (!this.requestLogs[endpoint]) {
-      this.requestLogs[endpoint] = [];
-    }
+    return this.withLock(() => {
+      const now = Date.now();
+      const cacheKey = this.getCacheKey(endpoint, apiKey);
 
-    // Remove timestamps outside the time window
-    this.requestLogs[endpoint] = this.requestLogs[endpoint].filter(
-      timestamp => now - timestamp < rateLimit.windowMs
-    );
+      // Remove timestamps outside the time window
+      const requestLog = this.readLog(cacheKey).filter(
+        timestamp => now - timestamp < rateLimit.windowMs
+      );
+
+      // Check if we can proceed with the request
+      if (requestLog.length < rateLimit.limit) {
+        // Log the request timestamp
+        requestLog.push(now);
+        this.writeLog(cacheKey, requestLog, rateLimit.windowMs);
+        return { proceed: true };
+      }
 
-    // Check if we can proceed with the request
-    if (this.requestLogs[endpoint].length < rateLimit.limit) {
-      // Log the request timestamp
-      this.requestLogs[endpoint].push(now);
-      return { proceed: true };
-    } else {
       // Calculate the wait time until the earliest request falls outside the time window
-      const earliestTimestamp = this.requestLogs[endpoint][0];
+      const earliestTimestamp = requestLog[0];
       const waitTime = rateLimit.windowMs - (now - earliestTimestamp);
       return { proceed: false, waitTime };
+    });
+  }
+
+  /**
+   * Reports how much of the budget for an endpoint is left, without logging a request.
+   * 
+   * @param {string} endpoint - The API endpoint path.
+   * @param {string} [apiKey] - The API key whose budget is inspected (defaults to the active profile's key).
+   * @returns {Object|null} The budget ({ endpoint, limit, windowMs, used, remaining, resetInMs }),
+   *   or null if no rate limit is defined for the endpoint.
+   */
+  getBudget(endpoint, apiKey = getAuthKey()) {
+    const rateLimit = this.rateLimits[endpoint];
+    if (!rateLimit) {
+      return null;
     }
+
+    const now = Date.now();
+    const requestLog = this.readLog(this.getCacheKey(endpoint, apiKey)).filter(
+      timestamp => now - timestamp < rateLimit.windowMs
+    );
+
+    return {
+      endpoint: endpoint,
+      limit: rateLimit.limit,
+      windowMs: rateLimit.windowMs,
+      used: requestLog.length,
+      remaining: Math.max(rateLimit.limit - requestLog.length, 0),
+      resetInMs: requestLog.length > 0 ? rateLimit.windowMs - (now - requestLog[0]) : 0
+    };
+  }
+
+  /**
+   * Runs the callback while holding the script lock shared by all executions.
+   * 
+   * @param {Function} callback - The function to run.
+   * @returns {*} The callback's return value.
+   * @throws {Error} If the lock cannot be acquired in time.
+   */
+  withLock(callback) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(this.lockTimeoutMs);
+    try {
+      return callback();
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Builds the cache key for an endpoint's request log. API keys are hashed so the
+   * secret itself never ends up in the cache.
+   * 
+   * @param {string} endpoint - The API endpoint path.
+   * @param {string} apiKey - The API key whose budget is used.
+   * @returns {string} The cache key.
+   */
+  getCacheKey(endpoint, apiKey) {
+    const scopeKey = apiKey || '';
+    if (!this.keyScopes[scopeKey]) {
+      const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, scopeKey);
+      this.keyScopes[scopeKey] = Utilities.base64EncodeWebSafe(digest).substring(0, 16);
+    }
+    return `${this.prefix}${this.keyScopes[scopeKey]}_${endpoint}`;
+  }
+
+  /**
+   * Reads a request log from the cache.
+   * 
+   * @param {string} cacheKey - The cache key of the log.
+   * @returns {Array<number>} The logged request timestamps, oldest first.
+   */
+  readLog(cacheKey) {
+    const value = this.cache.get(cacheKey);
+    return value ? JSON.parse(value) : [];
+  }
+
+  /**
+   * Writes a request log to the cache. The entry expires once its window has passed.
+   * 
+   * @param {string} cacheKey - The cache key of the log.
+   * @param {Array<number>} requestLog - The request timestamps, oldest first.
+   * @param {number} windowMs - The rate limit window of the endpoint.
+   */
+  writeLog(cacheKey, requestLog, windowMs) {
+    const expirationInSeconds = Math.max(Math.ceil(windowMs / SECOND), 1);
+    this.cache.put(cacheKey, JSON.stringify(requestLog), expirationInSeconds);
   }
 }
 
@@ -58,9 +154,23 @@ class RateLimiter {
  * ===================== Initialization ============================
  */
 
-// Extract the rate limits from API_RESOURCES and map them to the endpoint paths
+/**
+ * Gets the key a resource's requests are rate limited under. Trading212 limits each
+ * method of an endpoint separately, so resources using another method than GET are
+ * keyed by method and path (e.g. 'POST history/exports').
+ *
+ * @param {Object} resource - The resource from API_RESOURCES.
+ * @returns {string} The rate limit key.
+ */
+function getRateLimitKey(resource) {
+  return resource.method && resource.method !== 'GET'
+    ? `${resource.method} ${resource.endpoint}`
+    : resource.endpoint;
+}
+
+// Extract the rate limits from API_RESOURCES and map them to their rate limit keys
 const RATE_LIMITS = Object.fromEntries(
-  Object.entries(API_RESOURCES).map(([key, resource]) => [resource.endpoint, resource.rateLimit])
+  Object.entries(API_RESOURCES).map(([key, resource]) => [getRateLimitKey(resource), resource.rateLimit])
 );
 
 // Initialize RateLimiter (singleton instance) with extracted rate limits
@@ -78,14 +188,32 @@ const rateLimiter = new RateLimiter(RATE_LIMITS);
  * Functions in this section include:
  * - `RateLimiter`: A class that encapsulates rate-limiting logic.
  * - `canProceedWithRequest`: A function that checks if a request can proceed or needs to wait.
+ * - `getRateLimitKey`: A function that names the budget a resource's requests count against.
+ * - `getRateLimitBudget`: A function that reports the budget left for every endpoint.
  */
 
 /**
  * Checks if a request to the given endpoint can proceed based on rate limits.
  * 
  * @param {string} endpoint - The API endpoint path.
+ * @param {string} [apiKey] - The API key whose budget is used (defaults to the active profile's key).
  * @returns {Object} An object containing a `proceed` boolean and an optional `waitTime`.
  */
-function canProceedWithRequest(endpoint) {
-  return rateLimiter.canProceed(endpoint);
-}
\ No newline at end of file
+function canProceedWithRequest(endpoint, apiKey) {
+  return rateLimiter.canProceed(endpoint, apiKey);
+}
+
+/**
+ * Reports the budget left for every rate-limited endpoint of a profile's API key.
+ * The budget is shared by all executions, so this reflects requests made by any of them.
+ * 
+ * @example
+ * getRateLimitBudget().forEach(budget => Logger.log(`${budget.endpoint}: ${budget.remaining}/${budget.limit}`));
+ * 
+ * @param {string} [profileName] - The profile to inspect (defaults to the active profile).
+ * @returns {Array<Object>} One entry per endpoint ({ endpoint, limit, windowMs, used, remaining, resetInMs }).
+ */
+function getRateLimitBudget(profileName) {
+  const apiKey = resolveProfile(profileName).apiKey;
+  return Object.keys(RATE_LIMITS).map(endpoint => rateLimiter.getBudget(endpoint, apiKey));
+}
@@ -0,0 +1,195 @@
+/**
+ * ===================== Resource Registry =========================
+ *
+ * This section describes how each fetchable resource of `API_RESOURCES` is offered to the
+ * user. The "Data" menu, the checkboxes of the fetch dialog and the dispatcher behind the
+ * dialog (`fetchSelectedTrading212Data()`) are all generated from this list, so adding a
+ * resource only needs a new entry here (plus its `API_RESOURCES` entry).
+ *
+ * Each entry includes:
+ * - `key`: The key of the resource in `API_RESOURCES`.
+ * - `label`: The short name used in the dialog's progress list and as the dispatcher value.
+ * - `description`: The text of the resource's checkbox in the fetch dialog.
+ * - `menuLabel`: The text of the resource's item in the "Data" menu.
+ * - `handler`: The name of the fetch function. Names rather than functions are stored because
+ *   menu items can only call functions by name.
+ * - `params`: The default query parameters of the fetch function.
+ * - `pagination`: How the data is retrieved:
+ *   - 'none': a single response.
+ *   - 'cursor': pages linked by `nextPagePath`; supports incremental sync and full resyncs.
+ *   - 'perPie': one request per pie.
+ *   - 'export': an asynchronous CSV export.
+ * - `fullResyncHandler` (optional): The name of the function re-downloading the whole history.
+ *
+ * The order of the entries is the order of the menu items and checkboxes.
+ */
+
+const RESOURCE_REGISTRY = [
+  {
+    key: 'PIES',
+    label: 'Pies',
+    description: 'Investment Pies',
+    menuLabel: 'Fetch Pies',
+    handler: 'fetchPies',
+    params: {},
+    pagination: 'none'
+  },
+  {
+    key: 'PIE',
+    label: 'Pie Details',
+    description: 'Pie Details',
+    menuLabel: 'Fetch All Pie Details',
+    handler: 'fetchAllPieDetails',
+    params: {},
+    pagination: 'perPie'
+  },
+  {
+    key: 'PORTFOLIO',
+    label: 'Portfolio',
+    description: 'Portfolio (open positions)',
+    menuLabel: 'Fetch Portfolio',
+    handler: 'fetchPortfolio',
+    params: {},
+    pagination: 'none'
+  },
+  {
+    key: 'PENDING_ORDERS',
+    label: 'Pending Orders',
+    description: 'Pending Orders',
+    menuLabel: 'Fetch Pending Orders',
+    handler: 'fetchPendingOrders',
+    params: {},
+    pagination: 'none'
+  },
+  {
+    key: 'INSTRUMENTS_LIST',
+    label: 'Instruments',
+    description: 'Instruments',
+    menuLabel: 'Fetch Instruments',
+    handler: 'fetchInstrumentsList',
+    params: {},
+    pagination: 'none'
+  },
+  {
+    key: 'EXCHANGE_LIST',
+    label: 'Exchanges',
+    description: 'Exchanges',
+    menuLabel: 'Fetch Exchanges',
+    handler: 'fetchExchanges',
+    params: {},
+    pagination: 'none'
+  },
+  {
+    key: 'ACCOUNT_INFO',
+    label: 'Account Info',
+    description: 'Account Information',
+    menuLabel: 'Fetch Account Info',
+    handler: 'fetchAccountInfo',
+    params: {},
+    pagination: 'none'
+  },
+  {
+    key: 'ACCOUNT_CASH',
+    label: 'Cash Balance',
+    description: 'Account Cash',
+    menuLabel: 'Fetch Cash Balance',
+    handler: 'fetchAccountCash',
+    params: {},
+    pagination: 'none'
+  },
+  {
+    key: 'TRANSACTIONS',
+    label: 'Transactions',
+    description: 'Transactions',
+    menuLabel: 'Fetch Transactions',
+    handler: 'fetchTransactions',
+    params: { cursorID: 'string', limit: 50 },  // Max 50, API documentation defaults to 20
+    pagination: 'cursor',
+    fullResyncHandler: 'fullResyncTransactions'
+  },
+  {
+    key: 'ORDER_HISTORY',
+    label: 'Order History',
+    description: 'Order History',
+    menuLabel: 'Fetch Order History',
+    handler: 'fetchOrderHistory',
+    params: { cursor: '0', ticker: '', limit: 50 },
+    pagination: 'cursor',
+    fullResyncHandler: 'fullResyncOrderHistory'
+  },
+  {
+    key: 'DIVIDENDS',
+    label: 'Dividends',
+    description: 'Dividends',
+    menuLabel: 'Fetch Dividends',
+    handler: 'fetchDividends',
+    params: { cursor: '0', ticker: '', limit: 50 },
+    pagination: 'cursor',
+    fullResyncHandler: 'fullResyncDividends'
+  },
+  {
+    key: 'HISTORY_EXPORTS',
+    label: 'Statements',
+    description: 'Statements (complete history as a CSV export)',
+    menuLabel: 'Fetch Statements (CSV Export)',
+    handler: 'fetchStatements',
+    params: {},
+    pagination: 'export'
+  }
+];
+
+/**
+ * Finds the registry entry of a resource.
+ *
+ * @param {string} keyOrLabel - The `API_RESOURCES` key or the label of the entry.
+ * @returns {Object|null} The registry entry, or null if there is none.
+ */
+function getRegistryEntry(keyOrLabel) {
+  return RESOURCE_REGISTRY.find(entry => entry.key === keyOrLabel || entry.label === keyOrLabel) || null;
+}
+
+/**
+ * Gets a copy of the default query parameters of a resource.
+ *
+ * @param {string} key - The `API_RESOURCES` key.
+ * @returns {Object} The default parameters.
+ */
+function getResourceDefaults(key) {
+  const entry = getRegistryEntry(key);
+  return Object.assign({}, entry ? entry.params : {});
+}
+
+/**
+ * Lists the resources offered by the fetch dialog (used by the `html/fetchData` template).
+ *
+ * @returns {Array<{label: string, description: string, pagination: string}>} The dialog options.
+ */
+function getDialogResources() {
+  return RESOURCE_REGISTRY.map(entry => ({
+    label: entry.label,
+    description: entry.description,
+    pagination: entry.pagination
+  }));
+}
+
+/**
+ * Runs the fetch function of a registry entry.
+ * Only resources paged by cursor receive the full resync option.
+ *
+ * @param {Object} entry - The registry entry.
+ * @param {Object} [options={}] - The options chosen in the dialog ({ fullResync, profile, pieId }).
+ * @returns {FetchResult} The outcome of the fetch.
+ * @throws {Error} If the handler does not exist.
+ */
+function runRegistryHandler(entry, options = {}) {
+  const handler = globalThis[entry.handler];
+  if (typeof handler !== 'function') {
+    throw new Error(`The fetch function "${entry.handler}" for ${entry.label} does not exist.`);
+  }
+
+  return handler({
+    fullResync: entry.pagination === 'cursor' && Boolean(options.fullResync),
+    profile: options.profile,
+    pieId: options.pieId
+  });
+}
@@ -0,0 +1,240 @@
+/**
+ * ===================== Snapshot Functions =========================
+ *
+ * The data sheets only hold the latest state of an account. This section records a dated
+ * snapshot of it in three history sheets per profile, so its evolution can be charted:
+ * - "Account History": one row per day with the totals of the account cash.
+ * - "Position History": one row per day and open position, valued in the instrument's currency
+ *   and, where its exchange rate is known, in the account currency.
+ * - "Pie History": one row per day and pie.
+ *
+ * A snapshot is taken from the menu, from the fetch dialog (after a refresh) or by a daily
+ * time-driven trigger. Snapshots are keyed by day in the spreadsheet's time zone: taking
+ * another snapshot on the same day replaces that day's rows instead of adding more.
+ *
+ * Functions in this section include:
+ * - `takeSnapshot`: Records a snapshot of one profile.
+ * - `scheduleDailySnapshot` / `stopDailySnapshot`: Manage the daily trigger.
+ */
+
+// The history sheets and their columns (the first column is always the day)
+const SNAPSHOT_SHEETS = {
+  ACCOUNT: {
+    sheetName: 'Account History',
+    headers: ['Date', 'Total Value', 'Invested', 'Free Cash', 'Pie Cash', 'Blocked', 'P&L', 'Result']
+  },
+  POSITIONS: {
+    sheetName: 'Position History',
+    headers: [
+      'Date', 'Ticker', 'Quantity', 'Average Price', 'Current Price', 'Value (Instrument Currency)', 'P&L', 'FX P&L',
+      'Currency', 'Value (Account Currency)'
+    ]
+  },
+  PIES: {
+    sheetName: 'Pie History',
+    headers: ['Date', 'Pie ID', 'Value', 'Invested', 'Result', 'Result Coef', 'Cash', 'Dividends Gained']
+  }
+};
+
+// The fetch dialog option that takes a snapshot after the selected fetches
+const SNAPSHOT_OPTION = 'Snapshot';
+
+// The daily snapshot runs from this trigger handler, around this hour of the day
+const SNAPSHOT_HANDLER = 'runDailySnapshot';
+const SNAPSHOT_HOUR = 22;
+
+/**
+ * Records a snapshot of a profile's cash, positions and pies in its history sheets.
+ * Rows already recorded for the same day are replaced.
+ *
+ * @param {Object} [params={}] - Optional parameters.
+ * @param {string|Object} [params.profile] - The account profile to record (defaults to the active profile).
+ * @returns {FetchResult} The outcome, with the number of rows written to the history sheets.
+ */
+function takeSnapshot(params = {}) {
+  const profile = resolveProfile(params.profile);
+  const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+  const day = Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd');
+  const date = Utilities.parseDate(day, timeZone, 'yyyy-MM-dd');
+
+  updateProgress(`Taking a snapshot of ${profile.name} ...`);
+  const cash = requestSnapshotData(API_RESOURCES.ACCOUNT_CASH, profile) || {};
+  const positions = requestSnapshotData(API_RESOURCES.PORTFOLIO, profile) || [];
+  const pies = requestSnapshotData(API_RESOURCES.PIES, profile) || [];
+
+  const accountRows = [[
+    date, cash.total, cash.invested, cash.free, cash.pieCash, cash.blocked, cash.ppl, cash.result
+  ]];
+  // Positions are priced in the instrument's currency (pence for GBX), so each row also gets
+  // its value in the account currency, at the rates used by the allocation report
+  const currencies = {};
+  readResourceRecords('INSTRUMENTS_LIST', profile).forEach(record => {
+    currencies[record.ticker] = String(record.currencyCode || '');
+  });
+  const rates = readLatestExchangeRates(profile);
+
+  const positionRows = positions.map(position => {
+    const value = position.quantity * position.currentPrice;
+    const currency = currencies[position.ticker] || '';
+    const rate = rates[currency];
+    return [
+      date,
+      position.ticker,
+      position.quantity,
+      position.averagePrice,
+      position.currentPrice,
+      value,
+      position.ppl,
+      position.fxPpl,
+      currency,
+      rate ? value / rate : ''
+    ];
+  });
+  const pieRows = pies.map(pie => {
+    const result = pie.result || {};
+    const dividends = pie.dividendDetails || {};
+    return [
+      date,
+      pie.id,
+      result.priceAvgValue,
+      result.priceAvgInvestedValue,
+      result.priceAvgResult,
+      result.priceAvgResultCoef,
+      pie.cash,
+      dividends.gained
+    ];
+  });
+
+  const rowsWritten =
+    writeSnapshotRows(SNAPSHOT_SHEETS.ACCOUNT, accountRows, day, profile) +
+    writeSnapshotRows(SNAPSHOT_SHEETS.POSITIONS, positionRows, day, profile) +
+    writeSnapshotRows(SNAPSHOT_SHEETS.PIES, pieRows, day, profile);
+
+  const sheetName = getProfileSheetName(SNAPSHOT_SHEETS.ACCOUNT.sheetName, profile);
+  updateProgress(`Recorded the snapshot of ${profile.name} for ${day}.`);
+  return { status: 'completed', sheetName: sheetName, rowsWritten: rowsWritten };
+}
+
+/**
+ * Requests the current state of a resource for a snapshot.
+ *
+ * @param {Object} resource - The API_RESOURCES entry.
+ * @param {Object} profile - The account profile.
+ * @returns {Object|Array} The response data.
+ */
+function requestSnapshotData(resource, profile) {
+  return rateLimitedRequest(constructApiUrl(resource.endpoint, {}, false, profile), resource.endpoint, profile);
+}
+
+/**
+ * Appends the rows of a snapshot to a history sheet, after removing the rows of the same day.
+ * The header row of a sheet recorded with fewer or older columns is brought up to date.
+ *
+ * @param {{sheetName: string, headers: Array<string>}} history - The history sheet (see SNAPSHOT_SHEETS).
+ * @param {Array<Array<*>>} rows - The rows, each starting with the day's date.
+ * @param {string} day - The day of the snapshot ('yyyy-MM-dd' in the spreadsheet's time zone).
+ * @param {Object} profile - The account profile the sheet belongs to.
+ * @returns {number} The number of rows written.
+ */
+function writeSnapshotRows(history, rows, day, profile) {
+  const sheet = getOrCreateSheet(getProfileSheetName(history.sheetName, profile));
+  if (sheet.getLastRow() === 0) {
+    clearSheetAndWriteHeaders(sheet, history.headers);
+    sheet.getRange(1, 1, 1, history.headers.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  } else {
+    const headerRange = sheet.getRange(1, 1, 1, history.headers.length);
+    if (headerRange.getValues()[0].join('\t') !== history.headers.join('\t')) {
+      headerRange.setValues([history.headers]).setFontWeight('bold');
+    }
+  }
+
+  removeSnapshotDay(sheet, day);
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const startRow = sheet.getLastRow() + 1;
+  const rowsWritten = writeRowsToSheet(sheet, rows, startRow);
+  sheet.getRange(startRow, 1, rows.length, 1).setNumberFormat('yyyy-mm-dd');
+  return rowsWritten;
+}
+
+/**
+ * Deletes the rows of a history sheet that belong to the given day.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The history sheet.
+ * @param {string} day - The day ('yyyy-MM-dd' in the spreadsheet's time zone).
+ */
+function removeSnapshotDay(sheet, day) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return;
+  }
+
+  const timeZone = sheet.getParent().getSpreadsheetTimeZone();
+  const dates = sheet.getRange(2, 1, lastRow - 1, 1).getValues().map(row => row[0]);
+  const toDay = value => value instanceof Date ? Utilities.formatDate(value, timeZone, 'yyyy-MM-dd') : String(value);
+
+  // Delete bottom-up, one block of adjacent rows at a time (a day's rows are usually the last block)
+  for (let index = dates.length - 1; index >= 0; index--) {
+    if (toDay(dates[index]) !== day) {
+      continue;
+    }
+    let first = index;
+    while (first > 0 && toDay(dates[first - 1]) === day) {
+      first--;
+    }
+    sheet.deleteRows(first + 2, index - first + 1);
+    index = first;
+  }
+}
+
+/**
+ * Records a snapshot of the active profile. Used by the "Data" menu.
+ */
+function takeSnapshotNow() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = takeSnapshot();
+    ui.alert(`Recorded ${result.rowsWritten} snapshot rows.`);
+  } catch (error) {
+    ui.alert(error.message);
+  }
+}
+
+/**
+ * Records a snapshot of every profile. Runs from the daily trigger (see `scheduleDailySnapshot`);
+ * a profile that fails does not stop the others.
+ */
+function runDailySnapshot() {
+  Object.values(profileManager.getProfiles()).forEach(profile => {
+    try {
+      takeSnapshot({ profile: profile });
+    } catch (error) {
+      Logger.log(`Daily snapshot of ${profile.name} failed: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Creates the daily trigger recording a snapshot of every profile, unless it exists.
+ * Used by the "Data" menu.
+ */
+function scheduleDailySnapshot() {
+  const exists = ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === SNAPSHOT_HANDLER);
+  if (!exists) {
+    ScriptApp.newTrigger(SNAPSHOT_HANDLER).timeBased().everyDays(1).atHour(SNAPSHOT_HOUR).create();
+  }
+  SpreadsheetApp.getUi().alert(`A snapshot of every profile will be recorded daily around ${SNAPSHOT_HOUR}:00.`);
+}
+
+/**
+ * Deletes the daily snapshot trigger. Used by the "Data" menu.
+ */
+function stopDailySnapshot() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === SNAPSHOT_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  SpreadsheetApp.getUi().alert('Daily snapshots are stopped. The history sheets are kept.');
+}
@@ -0,0 +1,235 @@
+/**
+ * ===================== Column Schemas ========================
+ *
+ * A column schema fixes which fields of a resource are written, in which order and under
+ * which header. Without a schema, the headers would depend on whichever fields the first
+ * item of a page happens to have.
+ *
+ * The built-in schemas below can be edited in the "ColumnSchemas" sheet (see
+ * `setupColumnSchemaSheet()`): one row per field with the resource key, the field path, the
+ * display name, whether it is included and its type (see `convertFieldValue()`). The row
+ * order is the column order.
+ *
+ * Fields returned by the API that a schema does not cover are never dropped: they are added
+ * after the schema's columns under their field path, and recorded in the "ColumnSchemas"
+ * sheet (if it exists) so they can be renamed or excluded.
+ */
+
+// Name of the sheet holding the editable schemas
+const COLUMN_SCHEMA_SHEET_NAME = 'ColumnSchemas';
+
+// Built-in schemas: ordered [field path, display name, type] entries per API_RESOURCES key (type defaults to 'auto')
+const DEFAULT_COLUMN_SCHEMAS = {
+  PIES: [
+    ['id', 'Pie ID'], ['status', 'Status', 'enum'], ['progress', 'Progress', 'number'], ['cash', 'Cash', 'number'],
+    ['result.priceAvgInvestedValue', 'Invested Value', 'number'], ['result.priceAvgValue', 'Value', 'number'],
+    ['result.priceAvgResult', 'Result', 'number'], ['result.priceAvgResultCoef', 'Result Coef', 'number'],
+    ['dividendDetails.gained', 'Dividends Gained', 'number'], ['dividendDetails.reinvested', 'Dividends Reinvested', 'number'],
+    ['dividendDetails.inCash', 'Dividends In Cash', 'number']
+  ],
+  PORTFOLIO: [
+    ['ticker', 'Ticker', 'text'], ['quantity', 'Quantity', 'number'], ['averagePrice', 'Average Price', 'number'],
+    ['currentPrice', 'Current Price', 'number'], ['ppl', 'P&L', 'number'], ['fxPpl', 'FX P&L', 'number'],
+    ['initialFillDate', 'Initial Fill Date', 'date'], ['pieQuantity', 'Pie Quantity', 'number'],
+    ['maxBuy', 'Max Buy', 'number'], ['maxSell', 'Max Sell', 'number'], ['frontend', 'Frontend', 'enum']
+  ],
+  PENDING_ORDERS: [
+    ['id', 'Order ID'], ['ticker', 'Ticker', 'text'], ['type', 'Type', 'enum'], ['status', 'Status', 'enum'],
+    ['quantity', 'Quantity', 'number'], ['filledQuantity', 'Filled Quantity', 'number'], ['limitPrice', 'Limit Price', 'number'],
+    ['stopPrice', 'Stop Price', 'number'], ['value', 'Value', 'number'], ['filledValue', 'Filled Value', 'number'],
+    ['creationTime', 'Created', 'date'], ['strategy', 'Strategy', 'enum']
+  ],
+  ACCOUNT_CASH: [
+    ['free', 'Free', 'number'], ['total', 'Total', 'number'], ['invested', 'Invested', 'number'], ['ppl', 'P&L', 'number'],
+    ['result', 'Result', 'number'], ['pieCash', 'Pie Cash', 'number'], ['blocked', 'Blocked', 'number']
+  ],
+  TRANSACTIONS: [
+    ['dateTime', 'Date', 'date'], ['type', 'Type', 'enum'], ['amount', 'Amount', 'number'], ['reference', 'Reference', 'text']
+  ],
+  ORDER_HISTORY: [
+    ['id', 'Order ID'], ['dateCreated', 'Created', 'date'], ['dateExecuted', 'Executed', 'date'], ['ticker', 'Ticker', 'text'],
+    ['type', 'Type', 'enum'], ['status', 'Status', 'enum'], ['orderedQuantity', 'Ordered Quantity', 'number'],
+    ['filledQuantity', 'Filled Quantity', 'number'], ['orderedValue', 'Ordered Value', 'number'], ['filledValue', 'Filled Value', 'number'],
+    ['limitPrice', 'Limit Price', 'number'], ['stopPrice', 'Stop Price', 'number'], ['fillPrice', 'Fill Price', 'number'],
+    ['fillCost', 'Fill Cost', 'number'], ['fillResult', 'Fill Result', 'number'], ['fillType', 'Fill Type', 'enum'], ['fillId', 'Fill ID'],
+    ['timeValidity', 'Time Validity', 'enum'], ['executor', 'Executor', 'enum'], ['parentOrder', 'Parent Order'],
+    ['dateModified', 'Modified', 'date']
+  ],
+  DIVIDENDS: [
+    ['paidOn', 'Paid On', 'date'], ['ticker', 'Ticker', 'text'], ['type', 'Type', 'enum'], ['quantity', 'Quantity', 'number'],
+    ['amount', 'Amount', 'number'], ['grossAmountPerShare', 'Gross Amount Per Share', 'number'],
+    ['amountInEuro', 'Amount In EUR', 'number'], ['reference', 'Reference', 'text']
+  ]
+};
+
+/**
+ * ColumnSchemaManager resolves the columns written for a resource from its schema and the data.
+ */
+class ColumnSchemaManager {
+  constructor() {
+    this.spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    this.sheetName = COLUMN_SCHEMA_SHEET_NAME;
+    this.headers = ['Resource', 'Field Path', 'Display Name', 'Include', 'Type'];
+  }
+
+  /**
+   * Gets the schema of a resource: the "ColumnSchemas" rows if there are any, otherwise the built-in schema.
+   * @param {string} resourceKey The API_RESOURCES key.
+   * @returns {Array<{path: string, name: string, include: boolean, type: string}>} The fields in column order.
+   */
+  getSchema(resourceKey) {
+    const configured = this.readConfiguredFields().filter(field => field.resource === resourceKey);
+    if (configured.length > 0) {
+      return configured;
+    }
+
+    return (DEFAULT_COLUMN_SCHEMAS[resourceKey] || []).map(([path, name, type]) => ({ path: path, name: name, include: true, type: type || 'auto' }));
+  }
+
+  /**
+   * Resolves the columns to write for a batch of items: the schema's included fields, followed by
+   * every field found in any of the items that the schema does not cover.
+   * Newly found fields are recorded in the "ColumnSchemas" sheet when it exists.
+   * @param {string} [resourceKey] The API_RESOURCES key; without one, every field found is written under its path.
+   * @param {Array<Object>} items The items to write.
+   * @returns {{columns: Array<{path: string, name: string, type: string}>, schema: Array<Object>}} The columns to write,
+   *   and the full schema (including excluded fields) for matching existing headers.
+   */
+  resolveColumns(resourceKey, items) {
+    const schema = resourceKey ? this.getSchema(resourceKey) : [];
+    const known = new Set(schema.map(field => field.path));
+
+    // Union the fields of all items, not only the first one
+    const discovered = [];
+    items.forEach(item => {
+      extractHeaders(item).forEach(path => {
+        if (!known.has(path)) {
+          known.add(path);
+          discovered.push({ path: path, name: path, include: true, type: 'auto' });
+        }
+      });
+    });
+
+    if (resourceKey && discovered.length > 0) {
+      Logger.log(`New fields for ${resourceKey}: ${discovered.map(field => field.path).join(', ')}`);
+      this.recordFields(resourceKey, discovered);
+    }
+
+    const fields = schema.concat(discovered);
+    return {
+      columns: fields.filter(field => field.include).map(field => ({ path: field.path, name: field.name, type: field.type })),
+      schema: fields
+    };
+  }
+
+  /**
+   * Reads the fields configured in the "ColumnSchemas" sheet.
+   * Sheets set up before the "Type" column existed read as 'auto'.
+   * @returns {Array<{resource: string, path: string, name: string, include: boolean, type: string}>} The fields, in sheet order.
+   */
+  readConfiguredFields() {
+    if (this.configuredFields) {
+      return this.configuredFields;
+    }
+
+    const sheet = this.spreadsheet.getSheetByName(this.sheetName);
+    if (!sheet || sheet.getLastRow() < 2) {
+      this.configuredFields = [];
+      return this.configuredFields;
+    }
+
+    this.configuredFields = sheet.getRange(2, 1, sheet.getLastRow() - 1, this.headers.length).getValues()
+      .filter(row => row[0] && row[1])
+      .map(row => ({
+        resource: String(row[0]).trim(),
+        path: String(row[1]).trim(),
+        name: String(row[2]).trim() || String(row[1]).trim(),
+        include: row[3] !== false,
+        type: FIELD_TYPES.includes(String(row[4]).trim()) ? String(row[4]).trim() : 'auto'
+      }));
+    return this.configuredFields;
+  }
+
+  /**
+   * Appends fields of a resource to the "ColumnSchemas" sheet, if the sheet exists.
+   * A resource without configured rows gets its built-in schema written first, so the
+   * new rows do not replace it.
+   * @param {string} resourceKey The API_RESOURCES key.
+   * @param {Array<{path: string, name: string, include: boolean, type: string}>} fields The fields to record.
+   */
+  recordFields(resourceKey, fields) {
+    const sheet = this.spreadsheet.getSheetByName(this.sheetName);
+    if (!sheet) {
+      return;
+    }
+
+    const configured = this.readConfiguredFields().some(field => field.resource === resourceKey);
+    const toWrite = configured ? fields : this.getSchema(resourceKey).concat(fields);
+    const rows = toWrite.map(field => [resourceKey, field.path, field.name, field.include, field.type]);
+
+    const startRow = sheet.getLastRow() + 1;
+    sheet.getRange(startRow, 1, rows.length, this.headers.length).setValues(rows);
+    sheet.getRange(startRow, 4, rows.length, 1).insertCheckboxes();
+    sheet.getRange(startRow, 5, rows.length, 1).setDataValidation(buildFieldTypeValidation());
+
+    this.configuredFields = null;
+  }
+}
+
+// Singleton instance used throughout the project
+const columnSchemaManager = new ColumnSchemaManager();
+
+/**
+ * Creates the "ColumnSchemas" sheet with the built-in schemas, so they can be edited.
+ * Rows already in the sheet are kept; only resources without rows are added.
+ */
+function setupColumnSchemaSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(COLUMN_SCHEMA_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(COLUMN_SCHEMA_SHEET_NAME);
+    sheet.setFrozenRows(1);
+  }
+
+  // (Re)write the headers, so sheets set up before the "Type" column existed get it too
+  sheet.getRange(1, 1, 1, columnSchemaManager.headers.length).setValues([columnSchemaManager.headers]);
+  sheet.getRange(1, 1, 1, columnSchemaManager.headers.length).setFontWeight('bold').setBackground('#f3f3f3');
+
+  const configured = new Set(columnSchemaManager.readConfiguredFields().map(field => field.resource));
+  const rows = [];
+  Object.keys(DEFAULT_COLUMN_SCHEMAS)
+    .filter(resourceKey => !configured.has(resourceKey))
+    .forEach(resourceKey => {
+      DEFAULT_COLUMN_SCHEMAS[resourceKey].forEach(([path, name, type]) => rows.push([resourceKey, path, name, true, type || 'auto']));
+    });
+
+  if (rows.length > 0) {
+    const startRow = sheet.getLastRow() + 1;
+    sheet.getRange(startRow, 1, rows.length, columnSchemaManager.headers.length).setValues(rows);
+    sheet.getRange(startRow, 4, rows.length, 1).insertCheckboxes();
+    sheet.getRange(startRow, 5, rows.length, 1).setDataValidation(buildFieldTypeValidation());
+  }
+  sheet.autoResizeColumns(1, columnSchemaManager.headers.length);
+
+  SpreadsheetApp.getUi().alert(`"${COLUMN_SCHEMA_SHEET_NAME}" is ready. Reorder, rename, retype or untick fields, then fetch the data again.`);
+}
+
+/**
+ * Builds the dropdown of the "Type" column of the "ColumnSchemas" sheet.
+ *
+ * @returns {GoogleAppsScript.Spreadsheet.DataValidation} The validation listing FIELD_TYPES.
+ */
+function buildFieldTypeValidation() {
+  return SpreadsheetApp.newDataValidation().requireValueInList(FIELD_TYPES, true).build();
+}
+
+/**
+ * Finds the API_RESOURCES key of an endpoint.
+ *
+ * @param {string} endpoint - The API endpoint path.
+ * @returns {string|null} The resource key, or null if no resource uses the endpoint.
+ */
+function getResourceKeyForEndpoint(endpoint) {
+  const entry = Object.entries(API_RESOURCES).find(([key, resource]) => resource.endpoint === endpoint && !resource.method);
+  return entry ? entry[0] : null;
+}
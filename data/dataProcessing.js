@@ -11,6 +11,8 @@
  *   nested JSON objects.
  * - `resolveNestedField`: Extracts values from nested objects based on 
  *   a dot-separated path.
+ * - `normalizeNestedArrays`: Moves arrays of objects into rows for child sheets.
+ * - `convertFieldValue`: Converts values to dates, numbers, booleans or labels by field type.
  */
 
 /**
@@ -106,4 +108,221 @@ function resolveFieldRecursive(obj, keys, index) {
  */
 function flattenObject(obj) {
   return Object.values(obj).map(val => (val !== null && val !== undefined ? val : '')).join(', ');
-}  
\ No newline at end of file
+}  
+
+/**
+ * ===================== Nested Array Normalization ========================
+ *
+ * By default, arrays are written into a single cell with their values joined by commas
+ * (see `resolveFieldRecursive`). When normalization is enabled (see
+ * `isNestedArrayNormalizationEnabled()`), arrays of objects are moved out of the items
+ * instead and written to child sheets, one row per element. Each child row carries the
+ * key of the row it belongs to, so the sheets can be joined with lookups or pivot tables.
+ */
+
+/**
+ * Splits the arrays of objects out of a batch of items.
+ * In the returned parent items, each such array is replaced by its number of elements.
+ *
+ * @param {Array<Object>} items - The items to normalize.
+ * @param {string} keyPath - The dot-separated path of the field identifying an item.
+ * @returns {{parents: Array<Object>, children: Object<string, Array<Object>>}} The parent items,
+ *   and the child rows grouped by the path of their array (e.g. 'workingSchedules').
+ */
+function normalizeNestedArrays(items, keyPath) {
+  const children = {};
+  const parents = items.map(item => extractNestedArrays(item, resolveNestedField(item, keyPath), '', children));
+  return { parents: parents, children: children };
+}
+
+/**
+ * Recursively copies an object, moving its arrays of objects into child rows.
+ * Child rows get a `parentKey` column and a `childKey` column (the parent key followed by the
+ * element's index), which in turn is the parent key of any arrays nested inside the element.
+ *
+ * @param {Object} obj - The object to copy.
+ * @param {string} parentKey - The key of the row the object belongs to.
+ * @param {string} parentPath - The array path of the object (used during recursion).
+ * @param {Object<string, Array<Object>>} children - The child rows collected so far, by array path.
+ * @returns {Object} The copy, with arrays of objects replaced by their length.
+ */
+function extractNestedArrays(obj, parentKey, parentPath, children) {
+  const copy = {};
+
+  for (let key in obj) {
+    if (!obj.hasOwnProperty(key)) continue;
+    const value = obj[key];
+    const path = parentPath ? `${parentPath}.${key}` : key;
+
+    if (Array.isArray(value) && value.length > 0 && value.every(element => typeof element === 'object' && element !== null)) {
+      children[path] = children[path] || [];
+      value.forEach((element, index) => {
+        const childKey = `${parentKey}/${index}`;
+        const row = extractNestedArrays(element, childKey, path, children);
+        children[path].push(Object.assign({ parentKey: parentKey, childKey: childKey }, row));
+      });
+      copy[key] = value.length;
+    } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      // Nested objects keep their place; only the arrays inside them are moved
+      copy[key] = extractNestedArrays(value, parentKey, path, children);
+    } else {
+      copy[key] = value;
+    }
+  }
+
+  return copy;
+}
+
+/**
+ * Builds the name of the child sheet holding the elements of a nested array.
+ *
+ * @param {string} sheetName - The name of the parent sheet.
+ * @param {string} path - The dot-separated path of the array (e.g. 'workingSchedules.timeEvents').
+ * @returns {string} The child sheet name (e.g. 'ExchangeList_workingSchedules_timeEvents').
+ */
+function getChildSheetName(sheetName, path) {
+  return `${sheetName}_${path.replace(/\./g, '_')}`;
+}
+
+
+/**
+ * ===================== Typed Value Conversion ========================
+ *
+ * The API returns timestamps as ISO strings and some numbers as strings, which the sheet
+ * would store as text (so date formats, sorting and filtering do not work on them).
+ * Before a row is written, each value is converted according to the type of its field
+ * (see the "Type" column of the column schemas):
+ * - 'date': ISO timestamps become Date objects, dates without a time zone are read in the
+ *   spreadsheet's time zone.
+ * - 'number': numeric strings become numbers.
+ * - 'boolean': true/false values, written as checkboxes.
+ * - 'enum': codes such as 'STOP_LIMIT' become labels such as 'Stop Limit'.
+ * - 'text': the value is written as it is.
+ * - 'auto' (fields without a type): ISO timestamps and booleans are converted, anything else is kept.
+ *
+ * A value that cannot be converted is written as it is.
+ */
+
+// The field types a column schema can use
+const FIELD_TYPES = ['auto', 'text', 'number', 'date', 'boolean', 'enum'];
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const NUMERIC_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const ENUM_PATTERN = /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)*$/;
+
+/**
+ * Converts a value for the sheet according to the type of its field.
+ *
+ * @param {*} value - The value resolved from the API data.
+ * @param {string} [type='auto'] - The field type (one of FIELD_TYPES).
+ * @param {string} timeZone - The spreadsheet's time zone, used for dates without a time zone.
+ * @returns {*} The converted value, or the value itself if it cannot be converted.
+ */
+function convertFieldValue(value, type = 'auto', timeZone) {
+  if (value === '' || value === null || value === undefined) {
+    return '';
+  }
+
+  try {
+    switch (type) {
+      case 'date':
+        return toSheetDate(value, timeZone) || value;
+      case 'number':
+        return toSheetNumber(value);
+      case 'boolean':
+        return toSheetBoolean(value);
+      case 'enum':
+        return toEnumLabel(value);
+      case 'text':
+        return value;
+      default:
+        if (typeof value === 'boolean') {
+          return value;
+        }
+        return typeof value === 'string' && ISO_TIMESTAMP_PATTERN.test(value)
+          ? toSheetDate(value, timeZone) || value
+          : value;
+    }
+  } catch (error) {
+    Logger.log(`Could not convert "${value}" to ${type}: ${error.message}`);
+    return value;
+  }
+}
+
+/**
+ * Converts an ISO date or timestamp to a Date.
+ * Timestamps with a time zone (e.g. '2024-05-01T10:22:13.000Z') keep their instant; dates and
+ * timestamps without one are read in the given time zone, so they show the same day and time.
+ *
+ * @param {*} value - The value to convert.
+ * @param {string} timeZone - The spreadsheet's time zone.
+ * @returns {Date|null} The date, or null if the value is not an ISO date or timestamp.
+ */
+function toSheetDate(value, timeZone) {
+  if (value instanceof Date) {
+    return value;
+  }
+
+  const text = String(value).trim();
+  if (ISO_DATE_PATTERN.test(text)) {
+    return Utilities.parseDate(text, timeZone, 'yyyy-MM-dd');
+  }
+  if (!ISO_TIMESTAMP_PATTERN.test(text)) {
+    return null;
+  }
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const [day, time] = text.split('T');
+  const seconds = time.split('.')[0];
+  return Utilities.parseDate(`${day} ${seconds.length === 5 ? `${seconds}:00` : seconds}`, timeZone, 'yyyy-MM-dd HH:mm:ss');
+}
+
+/**
+ * Converts a numeric string to a number.
+ *
+ * @param {*} value - The value to convert.
+ * @returns {number|*} The number, or the value itself if it is not numeric.
+ */
+function toSheetNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = String(value).trim();
+  return NUMERIC_PATTERN.test(text) ? Number(text) : value;
+}
+
+/**
+ * Converts true/false values (including the strings 'true' and 'false') to booleans.
+ *
+ * @param {*} value - The value to convert.
+ * @returns {boolean|*} The boolean, or the value itself if it is not a boolean.
+ */
+function toSheetBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  return value;
+}
+
+/**
+ * Converts an enum code to a readable label, e.g. 'GOOD_TILL_CANCEL' to 'Good Till Cancel'.
+ *
+ * @param {*} value - The value to convert.
+ * @returns {string|*} The label, or the value itself if it is not an enum code.
+ */
+function toEnumLabel(value) {
+  const text = String(value);
+  if (!ENUM_PATTERN.test(text)) {
+    return value;
+  }
+  return text.split('_').map(word => word.charAt(0) + word.slice(1).toLowerCase()).join(' ');
+}
@@ -194,7 +194,7 @@ function populateColumnMappingSheet(sheet) {
     const sheetName = currentSheet.getName();
     
     // Skip configuration sheets
-    if (sheetName === 'FormatConfigurations' || sheetName === 'ColumnFormatMapping') {
+    if (sheetName === 'FormatConfigurations' || sheetName === 'ColumnFormatMapping' || sheetName === COLUMN_SCHEMA_SHEET_NAME) {
       continue;
     }
     
@@ -587,7 +587,7 @@ function populateColumnMappingWithExisting(sheet, currentMappings) {
     const sheetName = currentSheet.getName();
     
     // Skip configuration sheets
-    if (sheetName === 'FormatConfigurations' || sheetName === 'ColumnFormatMapping') {
+    if (sheetName === 'FormatConfigurations' || sheetName === 'ColumnFormatMapping' || sheetName === COLUMN_SCHEMA_SHEET_NAME) {
       continue;
     }
     
@@ -52,6 +52,8 @@ class SheetManager {
 * and the sheet operations are consistently handled.
 */
 
+// User property switching nested array normalization on (see `toggleNestedArrayNormalization`)
+const NESTED_ARRAYS_PROPERTY = 'NORMALIZE_NESTED_ARRAYS';
 
 /**
 * Checks if a Google Sheets sheet with the given name exists, and if not, creates it.
@@ -88,6 +90,22 @@ if (headers.length > 0) {
   Logger.log('No headers to write');
 }
 }
+
+/**
+* Reads the header row of a sheet.
+*
+* @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to read the headers from.
+* @returns {Array<string>} The non-empty header values of the first row, or an empty array.
+*/
+function getSheetHeaders(sheet) {
+const lastColumn = sheet.getLastColumn();
+if (lastColumn === 0) {
+  return [];
+}
+
+return sheet.getRange(1, 1, 1, lastColumn).getValues()[0].filter(header => header !== '');
+}
+
 /**
 * ===================== Data Processing Functions ========================
 * 
@@ -104,65 +122,165 @@ if (headers.length > 0) {
 
 /**
 * Writes data to the specified Google Sheet, starting from the provided row.
+* The columns follow the resource's column schema (see `columnSchemaManager`), followed by any
+* field of the data the schema does not cover.
+* When appending below existing data, the header row already on the sheet is reused
+* so new rows line up with the columns written by earlier pages or runs; columns for
+* fields the sheet does not have yet are added after its last column.
+* Values are converted to the type of their field (see `convertFieldValue`).
+* With nested array normalization enabled, arrays of objects of resources with a
+* `primaryKey` are written to child sheets (see `writeChildSheets`).
+* When a writer is given, the rows are only buffered in it; the caller flushes it, so
+* several pages can be written in one block (see `SheetWriter`).
+* Resources with a `primaryKey` are merged into the existing rows by key rather than
+* rewritten, keeping the user's own columns (see `SheetMergeWriter`); a merge starting
+* at row 2 is a full refresh, which flags the rows it did not return.
 * 
 * @param {Object|Array} data - The data to write (can be an object or array of objects).
 * @param {string} sheetName - The name of the sheet where data will be written.
 * @param {number} [startRow=2] - The row number to start writing data (default is 2).
-* @returns {number} - The number of rows written.
+* @param {string} [resourceKey] - The API_RESOURCES key whose column schema is used.
+* @param {SheetWriter|SheetMergeWriter} [writer] - The writer buffering the rows of the sheet, positioned at `startRow`.
+* @returns {number} - The number of rows written (or buffered).
 */
-function writeDataToSheet(data, sheetName, startRow = 2) {
+function writeDataToSheet(data, sheetName, startRow = 2, resourceKey = null, writer = null) {
 const sheet = getOrCreateSheet(sheetName);
-const isArray = Array.isArray(data);
-const headers = isArray ? extractHeaders(data[0]) : extractHeaders(data);
+let items = Array.isArray(data) ? data : [data];
+
+const resource = resourceKey ? API_RESOURCES[resourceKey] : null;
+if (resource && resource.primaryKey && isNestedArrayNormalizationEnabled()) {
+  const normalized = normalizeNestedArrays(items, resource.primaryKey);
+  items = normalized.parents;
+  writeChildSheets(sheetName, normalized.children, startRow === 2);
+}
+
+const resolved = columnSchemaManager.resolveColumns(resourceKey, items);
+
+// Keyed resources are merged into the rows already on the sheet instead (see SheetMergeWriter)
+if (writer instanceof SheetMergeWriter) {
+  return writer.upsert(items, resolved);
+}
+if (!writer && getMergeKey(resourceKey)) {
+  const mergeWriter = new SheetMergeWriter(sheet, resourceKey, new Date());
+  const rowsMerged = mergeWriter.upsert(items, resolved);
+  if (startRow === 2) {
+    mergeWriter.flagVanished();
+  }
+  mergeWriter.flush();
+  return rowsMerged;
+}
+
+const columns = startRow > 2
+  ? mergeColumnsWithHeaders(sheet, resolved)
+  : resolved.columns;
 
 // Write headers if starting from row 2 (first page of data)
 if (startRow === 2) {
-  clearSheetAndWriteHeaders(sheet, headers);
+  clearSheetAndWriteHeaders(sheet, columns.map(column => column.name));
 }
 
-// Prepare data rows
-const rowData = isArray
-  ? data.map(item => headers.map(header => resolveNestedField(item, header)))
-  : [headers.map(header => resolveNestedField(data, header))];
+// Prepare data rows, converting each value to the type of its field
+const timeZone = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+const rowData = items.map(item => columns.map(column => convertFieldValue(resolveNestedField(item, column.path), column.type, timeZone)));
 
-Logger.log(`Raw rowData: ${JSON.stringify(rowData)}`);
+// Boolean columns are shown as checkboxes
+columns.forEach((column, index) => {
+  if (rowData.length > 0 && (column.type === 'boolean' || rowData.some(row => typeof row[index] === 'boolean'))) {
+    sheet.getRange(startRow, index + 1, rowData.length, 1).insertCheckboxes();
+  }
+});
 
-// Write data to the sheet
-writeRowsToSheet(sheet, rowData, startRow);
+// Buffer the rows in the caller's writer, or write them right away
+if (writer) {
+  return writer.append(rowData);
+}
+return writeRowsToSheet(sheet, rowData, startRow);
+}
 
-// Return the number of rows written
-return rowData.length;
+/**
+* Writes the child rows of nested arrays to their child sheets (e.g. "ExchangeList_workingSchedules").
+* Child sheets are rewritten along with the first page of their parent sheet, and appended to otherwise.
+*
+* @param {string} sheetName - The name of the parent sheet.
+* @param {Object<string, Array<Object>>} children - The child rows by array path (see `normalizeNestedArrays`).
+* @param {boolean} replace - Whether the child sheets are rewritten rather than appended to.
+*/
+function writeChildSheets(sheetName, children, replace) {
+Object.keys(children).forEach(path => {
+  const childSheetName = getChildSheetName(sheetName, path);
+  const existing = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(childSheetName);
+  const startRow = replace || !existing || existing.getLastRow() < 2 ? 2 : existing.getLastRow() + 1;
+  writeDataToSheet(children[path], childSheetName, startRow);
+});
 }
 
+/**
+* Checks whether nested arrays are written to child sheets instead of comma-joined cells.
+*
+* @returns {boolean} True if nested array normalization is enabled.
+*/
+function isNestedArrayNormalizationEnabled() {
+return PropertiesService.getUserProperties().getProperty(NESTED_ARRAYS_PROPERTY) === 'true';
+}
+
+/**
+* Switches nested array normalization on or off. Used by the "Data" menu.
+* The change applies to the next fetch of each resource.
+*/
+function toggleNestedArrayNormalization() {
+const enabled = !isNestedArrayNormalizationEnabled();
+PropertiesService.getUserProperties().setProperty(NESTED_ARRAYS_PROPERTY, String(enabled));
+SpreadsheetApp.getUi().alert(enabled
+  ? 'Nested arrays (e.g. exchange working schedules, order taxes) will be written to child sheets such as "ExchangeList_workingSchedules" on the next fetch.'
+  : 'Nested arrays will be written as comma-separated values in a single cell on the next fetch.');
+}
+
+/**
+* Lines up resolved columns with the header row already on a sheet. Existing headers keep
+* their position and are matched by display name or field path (sheets written before the
+* schema existed use paths); columns the sheet does not have yet are appended to its header row.
+*
+* @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet being appended to.
+* @param {{columns: Array<Object>, schema: Array<Object>}} resolved - The result of `resolveColumns`.
+* @returns {Array<{path: string, name: string, type: string}>} The columns in sheet order.
+*/
+function mergeColumnsWithHeaders(sheet, resolved) {
+const existingHeaders = getSheetHeaders(sheet);
+if (existingHeaders.length === 0) {
+  return resolved.columns;
+}
+
+const matches = (field, header) => field.name === header || field.path === header;
+const columns = existingHeaders.map(header => {
+  const field = resolved.schema.find(candidate => matches(candidate, header));
+  return { path: field ? field.path : header, name: header, type: field ? field.type : 'auto' };
+});
+
+const missing = resolved.columns.filter(column => !existingHeaders.some(header => matches(column, header)));
+if (missing.length > 0) {
+  sheet.getRange(1, existingHeaders.length + 1, 1, missing.length).setValues([missing.map(column => column.name)]);
+}
+
+return columns.concat(missing);
+}
 
 /**
-* Writes row data to the given sheet starting from the specified row index.
+* Writes row data to the given sheet starting from the specified row index, in as few
+* blocks as possible. Rows shorter than the header row are padded with empty cells.
 * Handles the case where resolveNestedField returns an array, spreading it across multiple columns.
 * 
 * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to write the data into.
 * @param {Array<Array<string>>} rowData - The data to write into the sheet.
 * @param {number} startRow - The row number to start writing the data (default is 2).
+* @returns {number} The number of rows written.
 */
 function writeRowsToSheet(sheet, rowData, startRow = 2) {
 if (!sheet) {
   Logger.log('No valid sheet found to write data.');
-  return;
+  return 0;
 }
 
-  rowData.forEach((row, rowIndex) => {
-    // Flatten the row if any cell contains an array (spread array values across columns)
-    const flattenedRow = row.flatMap(cell => Array.isArray(cell) ? cell : [cell]);
-
-    // Notify progress for each row written
-    updateProgress(`Fetching row ${startRow + rowIndex}`);
-
-  // Log the row data being written for debugging purposes
-  Logger.log(`Writing to ${sheet} and row ${startRow + rowIndex}: ${JSON.stringify(flattenedRow)}`);
-
-  // Write the flattened row to the sheet
-  sheet.getRange(startRow + rowIndex, 1, 1, flattenedRow.length).setValues([flattenedRow]);
-  });
-
-  // Update progress when a batch of rows is completed
-  updateProgress(`Completed rows through ${startRow + rowData.length - 1}`);
-}
\ No newline at end of file
+const writer = new SheetWriter(sheet, startRow);
+writer.append(rowData);
+return writer.flush();
+}
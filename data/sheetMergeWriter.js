@@ -0,0 +1,286 @@
+/**
+ * ===================== Keyed Merge Writes ========================
+ *
+ * Resources with a `primaryKey` (see `API_RESOURCES`) are not rewritten from scratch on a
+ * refresh. Instead, their rows are matched by key: existing rows are updated in place, new
+ * records are appended below them, and records that no longer come back from the API are
+ * flagged rather than removed. This keeps the sheet stable for formulas and lets users keep
+ * their own columns (e.g. "Strategy" or "Notes") next to the API data.
+ *
+ * The API columns are followed by two managed columns:
+ * - "Last Synced": when the row was last returned by the API.
+ * - "Sync Status": 'New', 'Active' or 'Vanished' (not returned by the last full fetch).
+ *
+ * Only the API columns and the managed columns are ever written. Columns whose header does
+ * not match a field of the resource belong to the user and are left untouched; columns for
+ * new API fields are inserted before "Last Synced", shifting the user's columns to the right.
+ */
+
+// Columns maintained by the merge writer after the API columns
+const SYNC_COLUMNS = {
+  LAST_SYNCED: 'Last Synced',
+  STATUS: 'Sync Status'
+};
+
+// Values of the "Sync Status" column
+const SYNC_STATUSES = {
+  NEW: 'New',
+  ACTIVE: 'Active',
+  VANISHED: 'Vanished'
+};
+
+/**
+ * SheetMergeWriter merges items into the rows of a sheet by their primary key.
+ * Like SheetWriter, it buffers its changes until it is flushed.
+ */
+class SheetMergeWriter {
+  /**
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to merge into.
+   * @param {string} resourceKey The API_RESOURCES key; its `primaryKey` identifies the rows.
+   * @param {Date} syncedAt When the sync started; written to "Last Synced" and used to find vanished rows.
+   */
+  constructor(sheet, resourceKey, syncedAt) {
+    this.sheet = sheet;
+    this.keyPath = API_RESOURCES[resourceKey].primaryKey;
+    const keyField = columnSchemaManager.getSchema(resourceKey).find(field => field.path === this.keyPath);
+    this.keyName = keyField ? keyField.name : this.keyPath;
+    this.syncedAt = syncedAt;
+    this.timeZone = sheet.getParent().getSpreadsheetTimeZone();
+    this.headers = null;  // Loaded on first use (see load)
+  }
+
+  /**
+   * The number of rows merged but not written yet.
+   * @returns {number} The number of pending rows.
+   */
+  get pendingRows() {
+    return this.pending || 0;
+  }
+
+  /**
+   * Reads the sheet into memory and indexes its rows by key.
+   */
+  load() {
+    const lastRow = this.sheet.getLastRow();
+    const lastColumn = this.sheet.getLastColumn();
+    const values = lastRow > 0 && lastColumn > 0
+      ? this.sheet.getRange(1, 1, lastRow, lastColumn).getValues()
+      : [[]];
+
+    this.headers = values[0].map(header => String(header));
+    this.rows = values.slice(1);
+    this.existingRows = this.rows.length;
+    this.dirtyFrom = null;
+    this.pending = 0;
+    this.writtenColumns = new Set();
+    this.checkboxColumns = new Set();
+
+    this.keyColumn = this.headers.findIndex(header => header === this.keyName || header === this.keyPath);
+    this.rowsByKey = new Map();
+    if (this.keyColumn !== -1) {
+      this.rows.forEach((row, index) => {
+        const key = String(row[this.keyColumn]);
+        if (key !== '') {
+          this.rowsByKey.set(key, index);
+        }
+      });
+    }
+  }
+
+  /**
+   * Merges items into the sheet: rows with a known key are updated, others are appended.
+   * Columns for fields the sheet does not have yet are added first.
+   * @param {Array<Object>} items The items to merge.
+   * @param {{columns: Array<Object>, schema: Array<Object>}} resolved The result of `resolveColumns`.
+   * @returns {number} The number of items merged.
+   */
+  upsert(items, resolved) {
+    if (!this.headers) {
+      this.load();
+    }
+
+    const missing = resolved.columns.filter(column => this.findColumn(column) === -1);
+    if (missing.length > 0 || !this.headers.includes(SYNC_COLUMNS.LAST_SYNCED)) {
+      // Structural changes are made on the sheet, so write pending changes and reload afterwards
+      this.flush();
+      this.addColumns(missing, resolved);
+      this.load();
+    }
+
+    const columns = resolved.columns.map(column => Object.assign({ index: this.findColumn(column) }, column));
+    const lastSyncedColumn = this.headers.indexOf(SYNC_COLUMNS.LAST_SYNCED);
+    const statusColumn = this.headers.indexOf(SYNC_COLUMNS.STATUS);
+
+    items.forEach(item => {
+      const key = String(resolveNestedField(item, this.keyPath));
+      let index = this.rowsByKey.get(key);
+      if (index === undefined) {
+        index = this.rows.length;
+        this.rows.push(new Array(this.headers.length).fill(''));
+        this.rowsByKey.set(key, index);
+      }
+
+      const row = this.rows[index];
+      columns.forEach(column => {
+        row[column.index] = convertFieldValue(resolveNestedField(item, column.path), column.type, this.timeZone);
+        if (column.type === 'boolean' || typeof row[column.index] === 'boolean') {
+          this.checkboxColumns.add(column.index);
+        }
+      });
+      row[lastSyncedColumn] = this.syncedAt;
+      row[statusColumn] = index < this.existingRows ? SYNC_STATUSES.ACTIVE : SYNC_STATUSES.NEW;
+      this.markDirty(index);
+    });
+
+    columns.forEach(column => this.writtenColumns.add(column.index));
+    this.writtenColumns.add(lastSyncedColumn);
+    this.writtenColumns.add(statusColumn);
+    this.pending += items.length;
+
+    return items.length;
+  }
+
+  /**
+   * Flags the rows that were not returned since the sync started as 'Vanished'.
+   * Only call this after a fetch that covered the whole resource.
+   * @returns {number} The number of rows flagged.
+   */
+  flagVanished() {
+    if (!this.headers) {
+      this.load();
+    }
+
+    const lastSyncedColumn = this.headers.indexOf(SYNC_COLUMNS.LAST_SYNCED);
+    const statusColumn = this.headers.indexOf(SYNC_COLUMNS.STATUS);
+    if (lastSyncedColumn === -1 || statusColumn === -1 || this.keyColumn === -1) {
+      return 0;
+    }
+
+    // Allow for the precision of dates stored in the sheet
+    const syncedSince = this.syncedAt.getTime() - SECOND;
+    let flagged = 0;
+    this.rows.forEach((row, index) => {
+      const lastSynced = row[lastSyncedColumn];
+      const current = lastSynced instanceof Date && lastSynced.getTime() >= syncedSince;
+      if (row[this.keyColumn] !== '' && !current && row[statusColumn] !== SYNC_STATUSES.VANISHED) {
+        row[statusColumn] = SYNC_STATUSES.VANISHED;
+        this.markDirty(index);
+        flagged++;
+      }
+    });
+
+    this.writtenColumns.add(statusColumn);
+    if (flagged > 0) {
+      Logger.log(`Flagged ${flagged} vanished rows on ${this.sheet.getName()}.`);
+    }
+    return flagged;
+  }
+
+  /**
+   * Writes the changed rows to the sheet. Only the columns written by the merge are written,
+   * as runs of adjacent columns in blocks of at most SHEET_WRITE_BLOCK_ROWS rows.
+   * @returns {number} The number of rows written.
+   */
+  flush() {
+    if (!this.headers || this.dirtyFrom === null) {
+      return 0;
+    }
+
+    const firstRow = this.dirtyFrom;
+    const rowCount = this.rows.length - firstRow;
+    getColumnRuns(Array.from(this.writtenColumns)).forEach(([start, end]) => {
+      for (let offset = 0; offset < rowCount; offset += SHEET_WRITE_BLOCK_ROWS) {
+        const block = this.rows.slice(firstRow + offset, firstRow + offset + SHEET_WRITE_BLOCK_ROWS)
+          .map(row => row.slice(start, end + 1));
+        this.sheet.getRange(firstRow + offset + 2, start + 1, block.length, end - start + 1).setValues(block);
+      }
+    });
+    this.checkboxColumns.forEach(column => {
+      this.sheet.getRange(firstRow + 2, column + 1, rowCount, 1).insertCheckboxes();
+    });
+
+    this.dirtyFrom = null;
+    this.pending = 0;
+    updateProgressThrottled(`Wrote ${rowCount} merged rows to ${this.sheet.getName()}`);
+
+    return rowCount;
+  }
+
+  /**
+   * Finds the sheet column of a resolved column, by display name or field path.
+   * @param {{path: string, name: string}} column The resolved column.
+   * @returns {number} The zero-based column index, or -1 if the sheet has no such column.
+   */
+  findColumn(column) {
+    return this.headers.findIndex(header => header === column.name || header === column.path);
+  }
+
+  /**
+   * Adds header cells for new API fields, and the managed columns if the sheet lacks them.
+   * They are inserted before "Last Synced", or else after the last API column, so that the
+   * user's columns move to the right instead of being overwritten.
+   * @param {Array<{path: string, name: string}>} columns The columns to add.
+   * @param {{schema: Array<Object>}} resolved The result of `resolveColumns`.
+   */
+  addColumns(columns, resolved) {
+    const names = columns.map(column => column.name);
+    let position = this.headers.indexOf(SYNC_COLUMNS.LAST_SYNCED);
+    if (position === -1) {
+      names.push(SYNC_COLUMNS.LAST_SYNCED, SYNC_COLUMNS.STATUS);
+      const isApiHeader = header => resolved.schema.some(field => field.name === header || field.path === header);
+      position = this.headers.reduce((last, header, index) => isApiHeader(header) ? index + 1 : last, 0);
+    }
+
+    const used = this.headers.filter(header => header !== '').length > 0 ? this.sheet.getLastColumn() : 0;
+    if (position < used) {
+      this.sheet.insertColumnsBefore(position + 1, names.length);
+    } else if (position + names.length > this.sheet.getMaxColumns()) {
+      this.sheet.insertColumnsAfter(this.sheet.getMaxColumns(), position + names.length - this.sheet.getMaxColumns());
+    }
+    this.sheet.getRange(1, position + 1, 1, names.length).setValues([names]);
+  }
+
+  /**
+   * Records that a row changed, so the next flush writes it.
+   * @param {number} index The zero-based index of the row below the header.
+   */
+  markDirty(index) {
+    this.dirtyFrom = this.dirtyFrom === null ? index : Math.min(this.dirtyFrom, index);
+  }
+}
+
+/**
+ * Groups column indexes into runs of adjacent columns.
+ *
+ * @param {Array<number>} columns - The zero-based column indexes.
+ * @returns {Array<Array<number>>} The [first, last] index of each run, left to right.
+ */
+function getColumnRuns(columns) {
+  const runs = [];
+  columns.filter(column => column >= 0).sort((a, b) => a - b).forEach(column => {
+    const run = runs[runs.length - 1];
+    if (run && column === run[1] + 1) {
+      run[1] = column;
+    } else {
+      runs.push([column, column]);
+    }
+  });
+  return runs;
+}
+
+/**
+ * Gets the field a resource's rows are merged by (see `SheetMergeWriter`).
+ *
+ * @param {string} [resourceKey] - The API_RESOURCES key.
+ * @returns {string|null} The primary key path, or null if the resource is rewritten instead:
+ *   it has no primary key, or the key field is excluded from its column schema.
+ */
+function getMergeKey(resourceKey) {
+  const resource = resourceKey ? API_RESOURCES[resourceKey] : null;
+  if (!resource || !resource.primaryKey) {
+    return null;
+  }
+
+  const keyField = columnSchemaManager.getSchema(resourceKey).find(field => field.path === resource.primaryKey);
+  return !keyField || keyField.include ? resource.primaryKey : null;
+}
@@ -0,0 +1,79 @@
+/**
+ * ===================== Buffered Sheet Writes ========================
+ *
+ * Every `setValues()` call is a round trip to the spreadsheet, so writing rows one at a
+ * time makes large sheets (e.g. the instruments list) take minutes. A SheetWriter collects
+ * rows instead, possibly across several pages of a fetch, and writes them in large
+ * rectangular blocks when it is flushed.
+ *
+ * Rows of different lengths (e.g. written before a page added new columns) are padded to
+ * the width of the block, which is at least the width of the header row.
+ */
+
+/**
+ * SheetWriter buffers the rows written to one sheet and writes them in blocks.
+ */
+class SheetWriter {
+  /**
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to write to.
+   * @param {number} [startRow=2] The row the first buffered row is written to.
+   */
+  constructor(sheet, startRow = 2) {
+    this.sheet = sheet;
+    this.nextRow = startRow;
+    this.buffer = [];
+  }
+
+  /**
+   * The number of rows buffered but not written yet.
+   * @returns {number} The number of pending rows.
+   */
+  get pendingRows() {
+    return this.buffer.length;
+  }
+
+  /**
+   * Buffers rows. Cells holding arrays are spread across several columns.
+   * @param {Array<Array<*>>} rows The rows to buffer.
+   * @returns {number} The number of rows buffered.
+   */
+  append(rows) {
+    rows.forEach(row => this.buffer.push(row.flatMap(cell => Array.isArray(cell) ? cell : [cell])));
+    return rows.length;
+  }
+
+  /**
+   * Writes the buffered rows below the rows written so far, in blocks of at most
+   * SHEET_WRITE_BLOCK_ROWS rows, and empties the buffer.
+   * @returns {number} The number of rows written.
+   */
+  flush() {
+    const rowCount = this.buffer.length;
+    if (rowCount === 0) {
+      return 0;
+    }
+
+    const width = this.buffer.reduce((max, row) => Math.max(max, row.length), this.sheet.getLastColumn());
+    for (let offset = 0; width > 0 && offset < rowCount; offset += SHEET_WRITE_BLOCK_ROWS) {
+      const block = this.buffer.slice(offset, offset + SHEET_WRITE_BLOCK_ROWS).map(row => padRow(row, width));
+      this.sheet.getRange(this.nextRow + offset, 1, block.length, width).setValues(block);
+    }
+
+    this.nextRow += rowCount;
+    this.buffer = [];
+    updateProgressThrottled(`Wrote rows through ${this.nextRow - 1} of ${this.sheet.getName()}`);
+
+    return rowCount;
+  }
+}
+
+/**
+ * Pads a row with empty cells up to the given width.
+ *
+ * @param {Array<*>} row - The row to pad.
+ * @param {number} width - The number of cells the row must have.
+ * @returns {Array<*>} The padded row.
+ */
+function padRow(row, width) {
+  return row.length < width ? row.concat(new Array(width - row.length).fill('')) : row;
+}
@@ -1,55 +1,248 @@
 /**
  * ===================== Error Handling Functions ========================
- * 
+ *
  * This section contains functions responsible for handling errors that occur
  * during API requests and other operations. Centralizing error handling ensures
  * consistent behavior across the application and makes it easier to update
  * error handling logic in one place.
- * 
+ *
  * Functions in this section include:
+ * - `Trading212ApiError` and its subclasses: Typed errors carrying the HTTP status,
+ *   endpoint and response body of a failed request.
+ * - `createApiError`: Maps an HTTP response to the matching typed error.
  * - `handleApiError`: Processes API responses based on status codes and
  *   performs appropriate actions.
- * - Any other error handling utilities as needed.
+ * - `serializeError`: Converts any error into a plain object that survives
+ *   `google.script.run`, so the client can show an actionable message.
  */
 
 /**
- * Handles HTTP error responses from UrlFetchApp.fetch().
- * Extracts the HTTP response code and message, and logs appropriate error messages.
+ * ===================== Error Classes ========================
+ */
+
+/**
+ * Base class for errors raised while talking to the Trading212 API.
+ * The message is written for the user; the status, endpoint and body are kept for diagnostics.
+ */
+class Trading212ApiError extends Error {
+  /**
+   * @param {string} message - An actionable message for the user.
+   * @param {Object} [details={}] - Details about the failed request.
+   * @param {number|null} [details.status=null] - The HTTP status code, if a response was received.
+   * @param {string} [details.endpoint=''] - The API endpoint that was called.
+   * @param {string} [details.body=''] - The response body returned by the API.
+   */
+  constructor(message, { status = null, endpoint = '', body = '' } = {}) {
+    super(message);
+    this.name = 'Trading212ApiError';
+    this.type = 'api';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.body = body;
+  }
+
+  /**
+   * Whether the failed request may succeed when repeated.
+   * @returns {boolean}
+   */
+  get retryable() {
+    return false;
+  }
+
+  /**
+   * Converts the error into a plain object for logging or returning to the client.
+   * @returns {Object} The serializable error details.
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      type: this.type,
+      message: this.message,
+      status: this.status,
+      endpoint: this.endpoint,
+      body: String(this.body || '').substring(0, 500)
+    };
+  }
+}
+
+/** The API key is missing, invalid or revoked (HTTP 401). */
+class AuthenticationError extends Trading212ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthenticationError';
+    this.type = 'authentication';
+  }
+}
+
+/** The API key does not have the permission (scope) the endpoint needs (HTTP 403). */
+class MissingScopeError extends Trading212ApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'MissingScopeError';
+    this.type = 'missingScope';
+    this.scope = details.scope || '';
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), { scope: this.scope });
+  }
+}
+
+/** Too many requests were made to the endpoint (HTTP 429). */
+class RateLimitError extends Trading212ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.type = 'rateLimit';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** The request timed out on the server (HTTP 408). */
+class TimeoutError extends Trading212ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+    this.type = 'timeout';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** The Trading212 servers failed to process the request (HTTP 5xx). */
+class ServerError extends Trading212ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ServerError';
+    this.type = 'server';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** The request was rejected because of invalid arguments (HTTP 400 and other 4xx). */
+class ValidationError extends Trading212ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ValidationError';
+    this.type = 'validation';
+  }
+}
+
+/** The request did not reach the API or no response was received. */
+class NetworkError extends Trading212ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+    this.type = 'network';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** Orders may not be submitted for a live profile that has not enabled live trading. */
+class TradingDisabledError extends Trading212ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TradingDisabledError';
+    this.type = 'tradingDisabled';
+  }
+}
+
+/**
+ * ===================== Error Functions ========================
+ */
+
+/**
+ * Creates the typed error matching an HTTP error response.
  *
  * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response - The HTTP response object from UrlFetchApp.fetch().
- * @returns {null} Always returns null to indicate an error occurred.
+ * @param {string} [endpoint=''] - The API endpoint that was called.
+ * @returns {Trading212ApiError} The typed error describing the failure.
  */
-function handleApiError(response) {
-  var statusCode = response.getResponseCode();
-  var responseText = response.getContentText();
+function createApiError(response, endpoint = '') {
+  const status = response.getResponseCode();
+  const details = { status: status, endpoint: endpoint, body: response.getContentText() };
+  const target = endpoint || 'the Trading212 API';
 
-  Logger.log('Response Code: ' + statusCode);
-  Logger.log('Response Text: ' + responseText);
-
-  switch (statusCode) {
+  switch (status) {
     case 400:
-      Logger.log('Error 400: Bad filtering arguments.');
-      break;
+      return new ValidationError(`Trading212 rejected the request to ${target} (bad filtering arguments).`, details);
     case 401:
-      Logger.log('Error 401: Unauthorized - Bad API key.');
-      break;
-    case 403:
-      Logger.log('Error 403: Forbidden - Scope missing for API key.');
-      break;
+      return new AuthenticationError('Your API key was rejected. Check that it is correct and has not been revoked, then run Setup again.', details);
+    case 403: {
+      const scope = getScopeForEndpoint(endpoint);
+      const permission = scope ? `the "${scope}" permission` : 'the permission';
+      return new MissingScopeError(`Your API key lacks ${permission} needed for ${target}. Enable it in the Trading212 API settings and generate a new key.`, Object.assign(details, { scope: scope }));
+    }
     case 408:
-      Logger.log('Error 408: Request timed out.');
-      break;
+      return new TimeoutError(`The request to ${target} timed out. Please try again later.`, details);
     case 429:
-      Logger.log('Error 429: Rate limit exceeded.');
-      break;
-    case 500:
-      Logger.log('Error 500: Internal server error.');
-      break;
+      return new RateLimitError(`The rate limit for ${target} was exceeded. Please wait a few minutes and try again.`, details);
     default:
-      Logger.log(`Error ${statusCode}: ${responseText}`);
-      break;
+      if (status >= 500) {
+        return new ServerError(`Trading212 had a server error (${status}) while processing ${target}. Please try again later.`, details);
+      }
+      return new ValidationError(`The request to ${target} failed (${status}).`, details);
+  }
+}
+
+/**
+ * Finds the API key permission (scope) required by an endpoint.
+ *
+ * @param {string} endpoint - The API endpoint path or rate limit key.
+ * @returns {string} The scope name, or an empty string if unknown.
+ */
+function getScopeForEndpoint(endpoint) {
+  const resource = Object.values(API_RESOURCES).find(resource => getRateLimitKey(resource) === endpoint || resource.endpoint === endpoint);
+  return resource && resource.scope ? resource.scope : '';
+}
+
+/**
+ * Handles HTTP error responses from UrlFetchApp.fetch().
+ * Extracts the HTTP response code and message, logs them and raises the matching typed error.
+ *
+ * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response - The HTTP response object from UrlFetchApp.fetch().
+ * @param {string} [endpoint=''] - The API endpoint that was called.
+ * @throws {Trading212ApiError} Always throws the typed error describing the failure.
+ */
+function handleApiError(response, endpoint = '') {
+  const error = createApiError(response, endpoint);
+
+  Logger.log('Response Code: ' + error.status);
+  Logger.log('Response Text: ' + error.body);
+  Logger.log(`${error.name} (${error.status}) on ${endpoint || 'unknown endpoint'}: ${error.message}`);
+
+  throw error;
+}
+
+/**
+ * Converts an error into a plain object that can be returned through `google.script.run`
+ * (thrown errors only keep their message on the way to the client).
+ *
+ * @param {Error} error - The error to convert.
+ * @returns {Object} The error's type, message and request details.
+ */
+function serializeError(error) {
+  if (error instanceof Trading212ApiError) {
+    return error.toJSON();
   }
 
-  // Return null to indicate an error occurred
-  return null;
-}
\ No newline at end of file
+  return {
+    name: error.name || 'Error',
+    type: 'unknown',
+    message: error.message || String(error),
+    status: null,
+    endpoint: '',
+    body: ''
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * FetchJobManager checkpoints long-running fetch jobs so they can continue in a
+ * follow-up execution once the current one approaches the Apps Script time limit.
+ *
+ * A job records everything needed to fetch its next page: the URL (cursor), the
+ * target sheet and row, the endpoint used for rate limiting and the sync context.
+ * History export jobs (`type: 'export'`) record the requested report instead.
+ * Paused jobs are resumed by a one-off time-driven trigger calling `resumeFetchJobs`.
+ */
+class FetchJobManager {
+  constructor() {
+    this.properties = PropertiesService.getUserProperties();
+    this.prefix = 'FETCH_JOB_';
+    this.resumeHandler = 'resumeFetchJobs';
+  }
+
+  /**
+   * Saves (checkpoints) a job.
+   * @param {Object} job The job to save. Its `id` identifies it.
+   */
+  saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    this.properties.setProperty(this.prefix + job.id, JSON.stringify(job));
+  }
+
+  /**
+   * Retrieves a saved job.
+   * @param {string} id Identifier of the job.
+   * @returns {Object|null} The saved job or null.
+   */
+  getJob(id) {
+    const value = this.properties.getProperty(this.prefix + id);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Retrieves all saved jobs, oldest first.
+   * @returns {Array<Object>} The saved jobs.
+   */
+  getJobs() {
+    const properties = this.properties.getProperties();
+    return Object.keys(properties)
+      .filter(key => key.indexOf(this.prefix) === 0)
+      .map(key => JSON.parse(properties[key]))
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  /**
+   * Removes a saved job.
+   * @param {string} id Identifier of the job.
+   */
+  deleteJob(id) {
+    this.properties.deleteProperty(this.prefix + id);
+  }
+
+  /**
+   * Schedules a one-off execution of the resume handler, unless one is already pending.
+   * @param {number} delayMs Delay before the follow-up execution starts.
+   */
+  scheduleResume(delayMs) {
+    const pending = ScriptApp.getProjectTriggers()
+      .some(trigger => trigger.getHandlerFunction() === this.resumeHandler);
+
+    if (!pending) {
+      ScriptApp.newTrigger(this.resumeHandler).timeBased().after(delayMs).create();
+      Logger.log(`Scheduled ${this.resumeHandler} in ${delayMs} ms.`);
+    }
+  }
+
+  /**
+   * Deletes the resume triggers so a finished follow-up execution does not linger.
+   */
+  clearResumeTriggers() {
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === this.resumeHandler)
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  }
+}
+
+// Singleton instance used throughout the project
+const fetchJobManager = new FetchJobManager();
+
+/**
+ * Lists the fetch jobs that are paused and waiting to be resumed.
+ * @returns {Array<{sheetName: string, nextRow: number, pages: number, updatedAt: string}>} The pending jobs.
+ */
+function getPendingFetchJobs() {
+  return fetchJobManager.getJobs().map(job => ({
+    sheetName: job.sheetName,
+    nextRow: job.nextRow,
+    pages: job.pages,
+    updatedAt: job.updatedAt
+  }));
+}
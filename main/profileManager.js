@@ -0,0 +1,285 @@
+/**
+ * ProfileManager stores named Trading212 account profiles, so several accounts
+ * (e.g. an Invest account and a Stocks ISA, or demo and live) can be tracked in
+ * one spreadsheet. Each profile has its own API key, environment and account type.
+ *
+ * The first profile keeps the plain sheet names; every later profile writes to
+ * its own sheets, suffixed with the profile name (e.g. "History (ISA)").
+ * Menu actions use the active profile; the fetch dialog can target any or all.
+ *
+ * Orders can only be submitted for a live profile after live trading has been
+ * enabled for that profile (`allowLiveTrading`); demo profiles can always trade.
+ */
+class ProfileManager {
+  constructor() {
+    this.properties = PropertiesService.getUserProperties();
+    this.profilesKey = 'ACCOUNT_PROFILES';
+    this.activeKey = 'ACTIVE_PROFILE';
+  }
+
+  /**
+   * Retrieves all profiles, migrating the single legacy API key on first use.
+   * @returns {Object<string, Object>} The profiles keyed by name.
+   */
+  getProfiles() {
+    const value = this.properties.getProperty(this.profilesKey);
+    if (value) {
+      return JSON.parse(value);
+    }
+    return this.migrateLegacyCredentials();
+  }
+
+  /**
+   * Retrieves a profile by name.
+   * @param {string} name Name of the profile.
+   * @returns {Object|null} The profile or null.
+   */
+  getProfile(name) {
+    return this.getProfiles()[name] || null;
+  }
+
+  /**
+   * Creates or updates a profile. A new profile gets its sheet suffix once, so its
+   * sheets keep their names even if other profiles are added or removed later.
+   * @param {Object} profile The profile ({ name, apiKey, environment, accountType }).
+   * @returns {Object} The saved profile.
+   */
+  saveProfile(profile) {
+    const profiles = this.getProfiles();
+    const existing = profiles[profile.name];
+    const isFirst = Object.keys(profiles).length === 0;
+
+    profiles[profile.name] = Object.assign({}, existing, profile, {
+      sheetSuffix: existing ? existing.sheetSuffix : (isFirst ? '' : ` (${profile.name})`)
+    });
+    this.properties.setProperty(this.profilesKey, JSON.stringify(profiles));
+
+    if (isFirst || !this.properties.getProperty(this.activeKey)) {
+      this.setActiveProfile(profile.name);
+    }
+    return profiles[profile.name];
+  }
+
+  /**
+   * Removes a profile. Its sheets are left untouched.
+   * @param {string} name Name of the profile.
+   */
+  deleteProfile(name) {
+    const profiles = this.getProfiles();
+    delete profiles[name];
+    this.properties.setProperty(this.profilesKey, JSON.stringify(profiles));
+
+    if (this.properties.getProperty(this.activeKey) === name) {
+      const remaining = Object.keys(profiles);
+      if (remaining.length > 0) {
+        this.setActiveProfile(remaining[0]);
+      } else {
+        this.properties.deleteProperty(this.activeKey);
+      }
+    }
+  }
+
+  /**
+   * Retrieves the profile used by menu actions and calls that do not name a profile.
+   * @returns {Object|null} The active profile, the first profile, or null if none exist.
+   */
+  getActiveProfile() {
+    const profiles = this.getProfiles();
+    const activeName = this.properties.getProperty(this.activeKey);
+    return profiles[activeName] || profiles[Object.keys(profiles)[0]] || null;
+  }
+
+  /**
+   * Makes a profile the active one.
+   * @param {string} name Name of the profile.
+   */
+  setActiveProfile(name) {
+    this.properties.setProperty(this.activeKey, name);
+  }
+
+  /**
+   * Converts the API key saved before profiles existed into a "Default" profile.
+   * @returns {Object<string, Object>} The migrated profiles (empty if nothing was saved).
+   */
+  migrateLegacyCredentials() {
+    const apiKey = this.properties.getProperty('API_KEY');
+    if (!apiKey) {
+      return {};
+    }
+
+    const profile = {
+      name: 'Default',
+      apiKey: apiKey,
+      environment: this.properties.getProperty('SELECTED_ENVIRONMENT') || 'demo',
+      accountType: ACCOUNT_TYPES.INVEST,
+      sheetSuffix: ''
+    };
+    const profiles = { [profile.name]: profile };
+
+    this.properties.setProperty(this.profilesKey, JSON.stringify(profiles));
+    this.setActiveProfile(profile.name);
+    Logger.log('Migrated the saved API key to the "Default" profile.');
+    return profiles;
+  }
+}
+
+// Singleton instance used throughout the project
+const profileManager = new ProfileManager();
+
+/**
+ * Resolves the profile a call should use.
+ * @param {string|Object} [profile] A profile name, a profile object, or nothing for the active profile.
+ * @returns {Object} The resolved profile.
+ * @throws {AuthenticationError} If no matching profile exists.
+ */
+function resolveProfile(profile) {
+  if (profile && typeof profile === 'object' && profile.apiKey) {
+    return profile;
+  }
+
+  const resolved = typeof profile === 'string' && profile
+    ? profileManager.getProfile(profile)
+    : profileManager.getActiveProfile();
+
+  if (!resolved) {
+    const label = typeof profile === 'string' && profile ? `"${profile}" ` : '';
+    throw new AuthenticationError(`No account profile ${label}is set up. Use "Trading212 Portfolio > Setup" to add one.`);
+  }
+  return resolved;
+}
+
+/**
+ * Gets the API domain for a profile's environment.
+ * @param {Object} profile The account profile.
+ * @returns {string} The domain of the profile's environment.
+ */
+function getApiDomain(profile) {
+  return API_DOMAINS[profile.environment] || API_DOMAIN_DEMO;
+}
+
+/**
+ * Gets the name of the sheet a profile writes a resource to.
+ * @param {string} sheetName The resource's base sheet name (from API_RESOURCES).
+ * @param {Object} profile The account profile.
+ * @returns {string} The profile's sheet name.
+ */
+function getProfileSheetName(sheetName, profile) {
+  return `${sheetName}${profile.sheetSuffix || ''}`;
+}
+
+/**
+ * Lists the profiles without their API keys, for the dialogs.
+ * @returns {Array<{name: string, environment: string, accountType: string, active: boolean}>} The profiles.
+ */
+function getProfileSummaries() {
+  const active = profileManager.getActiveProfile();
+  return Object.values(profileManager.getProfiles()).map(profile => ({
+    name: profile.name,
+    environment: profile.environment,
+    accountType: profile.accountType,
+    active: Boolean(active && active.name === profile.name)
+  }));
+}
+
+/**
+ * Checks whether orders may be submitted for a profile.
+ * @param {Object} profile The account profile.
+ * @returns {boolean} True for demo profiles and for live profiles with live trading enabled.
+ */
+function isTradingAllowed(profile) {
+  return profile.environment !== 'live' || profile.allowLiveTrading === true;
+}
+
+/**
+ * Stops an order submission for a profile that may not trade.
+ * @param {Object} profile The account profile.
+ * @throws {TradingDisabledError} If live trading is not enabled for the live profile.
+ */
+function assertTradingAllowed(profile) {
+  if (!isTradingAllowed(profile)) {
+    throw new TradingDisabledError(`Live trading is disabled for the profile "${profile.name}". ` +
+      'Enable it with "Trading212 Portfolio > Setup > Enable/Disable Live Trading" to submit real orders.');
+  }
+}
+
+/**
+ * Enables or disables live trading for the active profile. Enabling requires typing the
+ * profile name, so real orders cannot be unlocked by an accidental click.
+ */
+function toggleLiveTrading() {
+  const ui = SpreadsheetApp.getUi();
+  const profile = resolveProfile();
+
+  if (profile.environment !== 'live') {
+    ui.alert(`"${profile.name}" is a demo profile; its orders are never real, so it can always trade.`);
+    return;
+  }
+
+  if (profile.allowLiveTrading) {
+    profileManager.saveProfile(Object.assign({}, profile, { allowLiveTrading: false }));
+    ui.alert(`Live trading is now disabled for "${profile.name}".`);
+    return;
+  }
+
+  const response = ui.prompt('Enable Live Trading',
+    `Orders submitted for "${profile.name}" will be real orders with real money.\n` +
+    'Type the profile name to enable live trading:', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  if (response.getResponseText().trim() !== profile.name) {
+    ui.alert('The name did not match; live trading stays disabled.');
+    return;
+  }
+
+  profileManager.saveProfile(Object.assign({}, profile, { allowLiveTrading: true }));
+  ui.alert(`Live trading is now enabled for "${profile.name}".`);
+}
+
+/**
+ * Prompts for a profile name and makes it the active profile used by menu actions.
+ */
+function switchActiveProfile() {
+  const ui = SpreadsheetApp.getUi();
+  const names = Object.keys(profileManager.getProfiles());
+  if (names.length === 0) {
+    ui.alert('No account profiles are set up yet. Use "Setup > Start Setup" to add one.');
+    return;
+  }
+
+  const response = ui.prompt('Switch Profile', `Enter the profile to use (${names.join(', ')}):`, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const name = response.getResponseText().trim();
+  if (names.indexOf(name) === -1) {
+    ui.alert(`Unknown profile "${name}".`);
+    return;
+  }
+
+  profileManager.setActiveProfile(name);
+  ui.alert(`"${name}" is now the active profile.`);
+}
+
+/**
+ * Prompts for a profile name and removes that profile. Its sheets are kept.
+ */
+function removeProfile() {
+  const ui = SpreadsheetApp.getUi();
+  const names = Object.keys(profileManager.getProfiles());
+  const response = ui.prompt('Remove Profile', `Enter the profile to remove (${names.join(', ')}):`, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const name = response.getResponseText().trim();
+  if (names.indexOf(name) === -1) {
+    ui.alert(`Unknown profile "${name}".`);
+    return;
+  }
+
+  profileManager.deleteProfile(name);
+  ui.alert(`Removed profile "${name}". Its sheets were kept.`);
+}
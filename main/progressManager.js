@@ -7,6 +7,7 @@ class ProgressManager {
   constructor() {
     this.cache = CacheService.getScriptCache();
     this.prefix = 'PROGRESS_';
+    this.lastThrottledAt = 0;  // When a throttled message was last stored (see updateProgressThrottled)
   }
 
   /**
@@ -48,6 +49,22 @@ function updateProgress(message) {
   progressManager.setProgress('fetch', message);
 }
 
+/**
+ * Updates the global fetch progress message, unless it was updated less than
+ * PROGRESS_THROTTLE_MS ago. Used for frequent messages (e.g. per page or block written)
+ * so they do not flood the cache.
+ * @param {string} message The message to display to the user.
+ */
+function updateProgressThrottled(message) {
+  const now = Date.now();
+  if (now - progressManager.lastThrottledAt < PROGRESS_THROTTLE_MS) {
+    return;
+  }
+
+  progressManager.lastThrottledAt = now;
+  updateProgress(message);
+}
+
 /**
  * Retrieves the current global fetch progress message.
  * @returns {string} The latest message set via updateProgress().
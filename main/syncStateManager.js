@@ -0,0 +1,72 @@
+/**
+ * SyncStateManager remembers the newest record already written to a sheet
+ * for each history resource, so later fetches only need to download the
+ * records that were added since the previous run.
+ */
+class SyncStateManager {
+  constructor() {
+    this.properties = PropertiesService.getUserProperties();
+    this.prefix = 'SYNC_STATE_';
+  }
+
+  /**
+   * Saves the sync marker for the given resource.
+   * @param {string} resourceKey Key of the resource in API_RESOURCES.
+   * @param {{id: string, date: string}} marker The newest stored record.
+   */
+  setState(resourceKey, marker) {
+    const state = Object.assign({}, marker, { syncedAt: new Date().toISOString() });
+    this.properties.setProperty(this.prefix + resourceKey, JSON.stringify(state));
+  }
+
+  /**
+   * Retrieves the sync marker for the given resource.
+   * @param {string} resourceKey Key of the resource in API_RESOURCES.
+   * @returns {{id: string, date: string, syncedAt: string}|null} The stored marker or null.
+   */
+  getState(resourceKey) {
+    const value = this.properties.getProperty(this.prefix + resourceKey);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Forgets the sync marker for the given resource, forcing a full download next time.
+   * @param {string} resourceKey Key of the resource in API_RESOURCES.
+   */
+  clearState(resourceKey) {
+    this.properties.deleteProperty(this.prefix + resourceKey);
+  }
+}
+
+// Singleton instance used throughout the project
+const syncStateManager = new SyncStateManager();
+
+/**
+ * Builds the sync marker (id and date) for a record using the resource's sync fields.
+ * @param {Object} item A record returned by the API.
+ * @param {{idField: string, dateField: string}} fields The resource's sync configuration.
+ * @returns {{id: string, date: string}} The marker describing the record.
+ */
+function getSyncMarker(item, fields) {
+  return {
+    id: String(item[fields.idField]),
+    date: item[fields.dateField] || ''
+  };
+}
+
+/**
+ * Checks whether a record is already stored in the sheet, i.e. it is the
+ * newest stored record or older than it.
+ * @param {Object} item A record returned by the API.
+ * @param {{idField: string, dateField: string}} fields The resource's sync configuration.
+ * @param {{id: string, date: string}} lastSynced The newest stored record.
+ * @returns {boolean} True if the record was written by a previous run.
+ */
+function isAlreadySynced(item, fields, lastSynced) {
+  if (String(item[fields.idField]) === lastSynced.id) {
+    return true;
+  }
+
+  const itemDate = item[fields.dateField];
+  return Boolean(itemDate && lastSynced.date) && new Date(itemDate) < new Date(lastSynced.date);
+}
@@ -7,21 +7,73 @@ function onOpen() {
   ui.createMenu('Trading212 Portfolio')
     .addSubMenu(ui.createMenu('Setup')
       .addItem('Start Setup', 'showSetupModal')
-      .addItem('Reset Setup', 'resetSetup'))
-    .addSubMenu(ui.createMenu('Data')
-      .addItem('Fetch Data...', 'showFetchDataModal')
+      .addItem('Reset Setup', 'resetSetup')
       .addSeparator()
-      .addItem('Fetch Pies', 'fetchPies')
-      .addItem('Fetch Instruments', 'fetchInstrumentsList')
-      .addItem('Fetch Exchanges', 'fetchExchanges')
-      .addItem('Fetch Account Info', 'fetchAccountInfo')
-      .addItem('Fetch Cash Balance', 'fetchAccountCash')
-      .addItem('Fetch Transactions', 'fetchTransactions')
-      .addItem('Fetch Order History', 'fetchOrderHistory')
-      .addItem('Fetch Dividends', 'fetchDividends'))
+      .addItem('Switch Profile', 'switchActiveProfile')
+      .addItem('Remove Profile', 'removeProfile')
+      .addItem('Enable/Disable Live Trading', 'toggleLiveTrading')
+      .addSeparator()
+      .addItem('Show Rate Limit Budget', 'showRateLimitBudget')
+      .addSubMenu(ui.createMenu('HTTP Transport')
+        .addItem('Live API', 'useLiveTransport')
+        .addItem('Offline Fixtures', 'useFixtureTransport')
+        .addItem('Record Live Responses', 'useRecordingTransport')))
+    .addSubMenu(buildDataMenu(ui))
+    .addSubMenu(ui.createMenu('Trading')
+      .addItem('Order Ticket...', 'showOrderTicketModal')
+      .addItem('Submit Order Tickets', 'submitOrderTickets')
+      .addSeparator()
+      .addItem('Load Pie Definitions', 'loadPieDefinitions')
+      .addItem('Push Pie Definitions', 'pushPieDefinitions'))
+    .addSubMenu(ui.createMenu('Analytics')
+      .addItem('Update Performance', 'showPerformance')
+      .addItem('Performance for Custom Period...', 'promptCustomPerformancePeriod')
+      .addSeparator()
+      .addItem('Update Cost Basis', 'showCostBasis')
+      .addItem('Cost Basis Method...', 'promptCostBasisMethod')
+      .addItem('UK Capital Gains Report', 'showCapitalGainsReport')
+      .addSeparator()
+      .addItem('Dividend Dashboard', 'showDividendDashboard')
+      .addItem('Allocation Report', 'showAllocationReport')
+      .addSeparator()
+      .addItem('Rebalance Pies...', 'promptRebalancing')
+      .addItem('Copy Rebalancing to Order Tickets', 'copyRebalancingToOrderTickets'))
     .addSubMenu(ui.createMenu('Formatting')
       .addItem('Setup Format System', 'setupFormatConfigSystem')
       .addItem('Refresh Column Mapping', 'refreshColumnMapping')
-      .addItem('Apply All Formatting', 'applyFormattingToAllSheets'))
+      .addItem('Apply All Formatting', 'applyFormattingToAllSheets')
+      .addSeparator()
+      .addItem('Setup Column Schemas', 'setupColumnSchemaSheet'))
     .addToUi();
-}
\ No newline at end of file
+}
+/**
+ * Builds the "Data" menu from RESOURCE_REGISTRY: one item per resource, followed by
+ * a "Full Resync" item for every resource that supports it, the snapshot items and the nested array switch.
+ *
+ * @param {GoogleAppsScript.Base.Ui} ui - The spreadsheet UI.
+ * @returns {GoogleAppsScript.Base.Menu} The "Data" menu.
+ */
+function buildDataMenu(ui) {
+  const menu = ui.createMenu('Data')
+    .addItem('Fetch Data...', 'showFetchDataModal')
+    .addSeparator();
+
+  RESOURCE_REGISTRY.forEach(entry => {
+    menu.addItem(entry.menuLabel, entry.handler);
+  });
+  menu.addItem('Fetch Pie by ID...', 'promptFetchPie');
+
+  const resyncMenu = ui.createMenu('Full Resync');
+  RESOURCE_REGISTRY
+    .filter(entry => entry.fullResyncHandler)
+    .forEach(entry => resyncMenu.addItem(entry.label, entry.fullResyncHandler));
+
+  return menu
+    .addSeparator()
+    .addSubMenu(resyncMenu)
+    .addSubMenu(ui.createMenu('Snapshots')
+      .addItem('Take Snapshot Now', 'takeSnapshotNow')
+      .addItem('Schedule Daily Snapshot', 'scheduleDailySnapshot')
+      .addItem('Stop Daily Snapshot', 'stopDailySnapshot'))
+    .addItem('Enable/Disable Child Sheets for Nested Arrays', 'toggleNestedArrayNormalization');
+}
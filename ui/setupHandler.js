@@ -20,4 +20,35 @@ function showSetupModal() {
  */
 function showFetchDataModal() {
   showModal('html/fetchData', 'Fetch Trading212 Data');
-}
\ No newline at end of file
+}
+
+/**
+ * Displays the order ticket dialog.
+ * 
+ * @function
+ * @name showOrderTicketModal
+ * @description Opens a modal window where a single order can be entered, confirmed and
+ * submitted for the active profile.
+ */
+function showOrderTicketModal() {
+  showModal('html/orderTicket', 'Order Ticket', { width: 600, height: 560 });
+}
+
+/**
+ * Displays the remaining rate limit budget for every endpoint.
+ * 
+ * @function
+ * @name showRateLimitBudget
+ * @description Shows an alert listing, per endpoint, how many requests are left in the
+ * current window for the active profile and when the window resets. The budget is shared
+ * by all executions.
+ */
+function showRateLimitBudget() {
+  const lines = getRateLimitBudget().map(budget => {
+    const reset = budget.resetInMs > 0 ? `, resets in ${Math.ceil(budget.resetInMs / 1000)}s` : '';
+    return `${budget.endpoint}: ${budget.remaining}/${budget.limit} left${reset}`;
+  });
+
+  const profile = resolveProfile();
+  SpreadsheetApp.getUi().alert(`Rate Limit Budget (${profile.name})`, lines.join('\n'), SpreadsheetApp.getUi().ButtonSet.OK);
+}